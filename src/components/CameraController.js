@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import gsap from 'gsap';
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 10;
+
+// Pans and zooms the top-down orthographic camera. Panning moves the camera over the
+// ground plane, zooming changes camera.zoom so the frustum set up on resize is kept.
+// Mouse: middle or right drag pans, Ctrl+wheel (or a trackpad pinch) zooms at the
+// cursor. Touch gestures come from InputManager through pan() and zoomAt().
+export class CameraController {
+    constructor(camera, renderer) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.panStart = null; // client position of the last pan step
+        this.listeners = new Set();
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onContextMenu = this.onContextMenu.bind(this);
+
+        const canvas = renderer.domElement;
+        canvas.addEventListener('mousedown', this.onMouseDown);
+        canvas.addEventListener('wheel', this.onWheel, { passive: false });
+        canvas.addEventListener('contextmenu', this.onContextMenu);
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    get zoom() {
+        return this.camera.zoom;
+    }
+
+    // Point on the ground plane under a client position
+    toWorld(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+
+        const point = new THREE.Vector3();
+        this.raycaster.ray.intersectPlane(this.groundPlane, point);
+        return point;
+    }
+
+    // Move the view so the ground under one client position ends up under another
+    pan(fromX, fromY, toX, toY) {
+        gsap.killTweensOf(this.camera.position);
+
+        const from = this.toWorld(fromX, fromY);
+        const to = this.toWorld(toX, toY);
+        this.camera.position.x += from.x - to.x;
+        this.camera.position.z += from.z - to.z;
+        this.camera.updateMatrixWorld();
+        this.notify();
+    }
+
+    // Zoom by a factor, keeping the ground under the client position in place
+    zoomAt(factor, clientX, clientY) {
+        gsap.killTweensOf(this.camera);
+        gsap.killTweensOf(this.camera.position);
+
+        const before = this.toWorld(clientX, clientY);
+        this.setZoom(this.camera.zoom * factor);
+        const after = this.toWorld(clientX, clientY);
+
+        this.camera.position.x += before.x - after.x;
+        this.camera.position.z += before.z - after.z;
+        this.camera.updateMatrixWorld();
+        this.notify();
+    }
+
+    setZoom(zoom) {
+        this.camera.zoom = THREE.MathUtils.clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+        this.camera.updateProjectionMatrix();
+        this.camera.updateMatrixWorld();
+    }
+
+    // Animate to show the given neurons, or all of them
+    zoomToFit(circles = window.circles || [], padding = 2) {
+        if (circles.length === 0) return;
+
+        const box = new THREE.Box3();
+        circles.forEach(circle => box.expandByPoint(circle.position));
+
+        const width = Math.max(box.max.x - box.min.x + padding * 2, 1);
+        const depth = Math.max(box.max.z - box.min.z + padding * 2, 1);
+        const viewWidth = this.camera.right - this.camera.left;
+        const viewHeight = this.camera.top - this.camera.bottom;
+        const zoom = THREE.MathUtils.clamp(
+            Math.min(viewWidth / width, viewHeight / depth), MIN_ZOOM, MAX_ZOOM);
+
+        gsap.to(this.camera.position, {
+            x: (box.min.x + box.max.x) / 2,
+            z: (box.min.z + box.max.z) / 2,
+            duration: 0.5,
+            ease: 'power2.out',
+            onUpdate: () => this.notify()
+        });
+        gsap.to(this.camera, {
+            zoom,
+            duration: 0.5,
+            ease: 'power2.out',
+            onUpdate: () => {
+                this.camera.updateProjectionMatrix();
+                this.notify();
+            }
+        });
+    }
+
+    zoomToSelection() {
+        const selection = window.selectionManager;
+        selection?.prune();
+
+        const circles = Array.from(selection?.neurons || []);
+        selection?.connections.forEach(({ source, target }) => circles.push(source, target));
+        this.zoomToFit(circles);
+    }
+
+    reset() {
+        gsap.killTweensOf(this.camera);
+        gsap.killTweensOf(this.camera.position);
+
+        this.camera.position.x = 0;
+        this.camera.position.z = 0;
+        this.setZoom(1);
+        this.notify();
+    }
+
+    onMouseDown(event) {
+        if (event.button !== 1 && event.button !== 2) return;
+        event.preventDefault();
+        this.panStart = { x: event.clientX, y: event.clientY };
+        this.renderer.domElement.style.cursor = 'grabbing';
+    }
+
+    onMouseMove(event) {
+        if (!this.panStart) return;
+        this.pan(this.panStart.x, this.panStart.y, event.clientX, event.clientY);
+        this.panStart = { x: event.clientX, y: event.clientY };
+    }
+
+    onMouseUp() {
+        if (!this.panStart) return;
+        this.panStart = null;
+        this.renderer.domElement.style.cursor = '';
+    }
+
+    onWheel(event) {
+        if (!event.ctrlKey) return;
+        event.preventDefault();
+        this.zoomAt(Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+    }
+
+    // Right-drag pans, so the menu would open on every release
+    onContextMenu(event) {
+        event.preventDefault();
+    }
+
+    cleanup() {
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener('mousedown', this.onMouseDown);
+        canvas.removeEventListener('wheel', this.onWheel);
+        canvas.removeEventListener('contextmenu', this.onContextMenu);
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+    }
+}
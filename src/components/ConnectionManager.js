@@ -1,14 +1,26 @@
 import * as THREE from 'three';
 import { gsap } from 'gsap';
-import { SoundManager } from './SoundManager';
+import { SELECTION_COLOR } from './SelectionManager';
+
+// Connections with a negative weight are inhibitory
+export const EXCITATORY_COLOR = 0xffffff;
+export const INHIBITORY_COLOR = 0x4da6ff;
+
+// Tsodyks-Markram parameters for a new connection; off until enabled
+export const DEFAULT_SHORT_TERM = {
+    enabled: false,
+    U: 0.5,
+    tauRec: 800,
+    tauFacil: 0
+};
 
 export class ConnectionManager {
-    constructor(scene, camera, renderer) {
+    constructor(scene, camera, renderer, soundManager = null) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
         this.connections = new Map();
-        this.soundManager = new SoundManager();
+        this.soundManager = soundManager; // shared with the rest of the app
         
         // Core properties
         this.raycaster = new THREE.Raycaster();
@@ -35,6 +47,7 @@ export class ConnectionManager {
         // Cache
         this.arrowsCache = [];
         this.lastConnectionCount = 0;
+        this.viewPoint = new THREE.Vector3();
         this.cachedRect = this.renderer.domElement.getBoundingClientRect();
         this.lastRectUpdate = 0;
         this.rectUpdateInterval = 1000;
@@ -68,6 +81,18 @@ export class ConnectionManager {
         this.arrowGeometry = new THREE.ExtrudeGeometry(this.arrowShape, extrudeSettings);
         this.arrowGeometry.computeBoundingSphere();
         this.arrowGeometry.computeBoundingBox();
+
+        // Flat bar head for inhibitory connections
+        this.barShape = new THREE.Shape();
+        this.barShape.moveTo(0.3 * sizeMultiplier, 1.05 * sizeMultiplier);
+        this.barShape.lineTo(-0.3 * sizeMultiplier, 1.05 * sizeMultiplier);
+        this.barShape.lineTo(-0.3 * sizeMultiplier, -1.05 * sizeMultiplier);
+        this.barShape.lineTo(0.3 * sizeMultiplier, -1.05 * sizeMultiplier);
+        this.barShape.lineTo(0.3 * sizeMultiplier, 1.05 * sizeMultiplier);
+
+        this.barGeometry = new THREE.ExtrudeGeometry(this.barShape, extrudeSettings);
+        this.barGeometry.computeBoundingSphere();
+        this.barGeometry.computeBoundingBox();
         
         this.arrowMaterial = new THREE.MeshBasicMaterial({ 
             color: 0xffffff,
@@ -184,44 +209,219 @@ export class ConnectionManager {
 
                 if (existingConnection) {
                     if (existingConnection.source !== neuron) {
-                        const oldTargetIndex = window.circles.indexOf(existingConnection.target);
-                        existingConnection.source.neuron.removeConnection(oldTargetIndex);
-                        
-                        existingConnection.line.geometry.dispose();
-                        existingConnection.line.material.dispose();
-                        existingConnection.arrow.geometry.dispose();
-                        existingConnection.arrow.material.dispose();
-                        this.scene.remove(existingGroup);
-                        this.connections.delete(existingGroup);
+                        const reversed = this.getConnectionData(existingConnection);
+                        this.removeConnection(existingConnection, existingGroup);
                         
                         triggerVisualFeedback(neuron);
                         triggerVisualFeedback(otherNeuron);
-                        this.createConnection(neuron, otherNeuron);
+                        const connectionGroup = this.createConnection(neuron, otherNeuron);
+                        const created = this.getConnectionData(this.connections.get(connectionGroup));
+
+                        window.editHistory?.push({
+                            label: 'Reverse connection',
+                            undo: () => {
+                                this.removeConnectionByIds(created.from, created.to);
+                                this.createConnectionFromData(reversed);
+                            },
+                            redo: () => {
+                                this.removeConnectionByIds(reversed.from, reversed.to);
+                                this.createConnectionFromData(created);
+                            }
+                        });
                     }
                 } else {
                     triggerVisualFeedback(neuron);
                     triggerVisualFeedback(otherNeuron);
-                    this.createConnection(neuron, otherNeuron);
+                    const connectionGroup = this.createConnection(neuron, otherNeuron);
+                    const created = this.getConnectionData(this.connections.get(connectionGroup));
+
+                    window.editHistory?.push({
+                        label: 'Create connection',
+                        undo: () => this.removeConnectionByIds(created.from, created.to),
+                        redo: () => this.createConnectionFromData(created)
+                    });
                 }
             }
         });
     }
 
+    isInhibitory(connection) {
+        return (connection.weight ?? 0) < 0;
+    }
+
+    getConnectionColor(connection) {
+        return this.isInhibitory(connection) ? INHIBITORY_COLOR : EXCITATORY_COLOR;
+    }
+
+    findConnection(source, target) {
+        for (const [connectionGroup, connection] of this.connections) {
+            if (connection.source === source && connection.target === target) {
+                return [connectionGroup, connection];
+            }
+        }
+        return [null, null];
+    }
+
+    // Mesh of the neuron with an id, or null once it has been deleted
+    findCircle(id) {
+        return window.network?.getNeuron(id)?.userData.neuron?.mesh ?? null;
+    }
+
+    // Plain description of a connection, by neuron id, enough to recreate it
+    getConnectionData(connection) {
+        return {
+            from: connection.source.neuron.id,
+            to: connection.target.neuron.id,
+            weight: connection.weight,
+            speed: connection.speed,
+            shortTerm: { ...connection.shortTerm }
+        };
+    }
+
+    createConnectionFromData({ from, to, weight, speed, shortTerm }) {
+        const source = this.findCircle(from);
+        const target = this.findCircle(to);
+        if (!source || !target) return null;
+        return this.createConnection(source, target, { weight, speed, shortTerm });
+    }
+
+    // Remove a connection from the model and the scene, deselecting it if needed
+    removeConnection(connection, connectionGroup) {
+        connection.source.neuron?.removeConnection(connection.target.neuron.id);
+
+        if (connection === this.selectedConnection) {
+            this.selectedConnection = null;
+            this.selectedArrow = null;
+            this.isDraggingArrow = false;
+            this.hideWeightLabel();
+            if (window.settings) {
+                window.settings.selectedConnection = null;
+            }
+            this.setShortTermSettings();
+        }
+        this.disposeConnection(connection, connectionGroup);
+    }
+
+    // A deletion made by the user, recorded for undo
+    deleteConnection(connection, connectionGroup = this.getConnectionGroup(connection)) {
+        if (!connectionGroup) return;
+
+        const removed = this.getConnectionData(connection);
+        this.removeConnection(connection, connectionGroup);
+
+        window.editHistory?.push({
+            label: 'Delete connection',
+            undo: () => this.createConnectionFromData(removed),
+            redo: () => this.removeConnectionByIds(removed.from, removed.to)
+        });
+    }
+
+    getConnectionGroup(connection) {
+        for (const [connectionGroup, current] of this.connections) {
+            if (current === connection) return connectionGroup;
+        }
+        return null;
+    }
+
+    removeConnectionByIds(from, to) {
+        const [connectionGroup, connection] = this.findConnection(this.findCircle(from), this.findCircle(to));
+        if (connection) {
+            this.removeConnection(connection, connectionGroup);
+        }
+    }
+
+    // Set a connection's weight or speed in the model, scene and GUI
+    setConnectionProperty(connection, property, value) {
+        connection[property] = value;
+
+        const targetId = connection.target.neuron.id;
+        if (property === 'weight') {
+            connection.source.neuron?.updateConnectionWeight(targetId, value);
+        } else {
+            connection.source.neuron?.updateConnectionSpeed(targetId, value);
+        }
+        this.needsUpdate = true;
+
+        if (connection === this.selectedConnection && window.settings) {
+            if (property === 'weight') window.settings.selectedWeight = value;
+            if (property === 'speed') window.settings.selectedSpeed = value;
+        }
+    }
+
+    // Record a weight or speed edit already applied to a connection. Repeated edits of
+    // the same property, e.g. one wheel gesture, merge into a single step.
+    recordPropertyChange(connection, property, before) {
+        const after = connection[property];
+        if (after === before) return;
+
+        const { from, to } = this.getConnectionData(connection);
+        const apply = value => {
+            const [, current] = this.findConnection(this.findCircle(from), this.findCircle(to));
+            if (current) {
+                this.setConnectionProperty(current, property, value);
+            }
+        };
+
+        window.editHistory?.push({
+            label: `Change ${property}`,
+            key: `${property}:${from}->${to}`,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    }
+
+    // Mirror a weight changed by the simulation, e.g. through plasticity
+    syncConnectionWeight(source, target, weight) {
+        const [, connection] = this.findConnection(source, target);
+        if (!connection) return;
+
+        connection.weight = weight;
+        this.needsUpdate = true;
+
+        if (connection === this.selectedConnection && window.settings) {
+            window.settings.selectedWeight = weight;
+        }
+    }
+
+    // Mirror a connection's short-term plasticity into the GUI settings
+    setShortTermSettings(shortTerm = DEFAULT_SHORT_TERM) {
+        if (!window.settings) return;
+        window.settings.selectedShortTerm = shortTerm.enabled;
+        window.settings.selectedU = shortTerm.U;
+        window.settings.selectedTauRec = shortTerm.tauRec;
+        window.settings.selectedTauFacil = shortTerm.tauFacil;
+    }
+
+    updateShortTermPlasticity(params, connection = this.selectedConnection) {
+        if (!connection) return;
+
+        connection.shortTerm = { ...connection.shortTerm, ...params };
+        const targetId = connection.target.neuron.id;
+        connection.source.neuron?.core.setShortTermPlasticity(targetId, connection.shortTerm);
+
+        if (connection === this.selectedConnection) {
+            this.setShortTermSettings(connection.shortTerm);
+        }
+    }
+
     updateConnectionProperties(weight, speed) {
         if (this.selectedConnection) {
+            const connection = this.selectedConnection;
+            const before = { weight: connection.weight, speed: connection.speed };
+
             if (weight !== undefined) {
                 this.selectedConnection.weight = weight;
-                const targetIndex = window.circles.indexOf(this.selectedConnection.target);
+                const targetId = this.selectedConnection.target.neuron.id;
                 if (this.selectedConnection.source?.neuron) {
-                    this.selectedConnection.source.neuron.updateConnectionWeight(targetIndex, weight);
+                    this.selectedConnection.source.neuron.updateConnectionWeight(targetId, weight);
                 }
             }
     
             if (speed !== undefined) {
                 this.selectedConnection.speed = speed;
-                const targetIndex = window.circles.indexOf(this.selectedConnection.target);
+                const targetId = this.selectedConnection.target.neuron.id;
                 if (this.selectedConnection.source?.neuron) {
-                    this.selectedConnection.source.neuron.updateConnectionSpeed(targetIndex, speed);
+                    this.selectedConnection.source.neuron.updateConnectionSpeed(targetId, speed);
                 }
     
                 // Update arrow position based on speed
@@ -254,6 +454,9 @@ export class ConnectionManager {
             if (this.weightLabel && this.selectedConnection.arrow) {
                 this.showWeightLabel(this.selectedConnection.arrow, this.selectedConnection.weight);
             }
+
+            this.recordPropertyChange(connection, 'weight', before.weight);
+            this.recordPropertyChange(connection, 'speed', before.speed);
         }
     }
 
@@ -296,8 +499,9 @@ export class ConnectionManager {
         const x = (vector.x * 0.5 + 0.5) * this.renderer.domElement.clientWidth;
         const y = (-vector.y * 0.5 + 0.5) * this.renderer.domElement.clientHeight;
 
+        // Keep the label just above the arrow, which shrinks as the view zooms out
         this.weightLabel.style.left = `${x}px`;
-        this.weightLabel.style.top = `${y - 50}px`;
+        this.weightLabel.style.top = `${y - Math.max(20, 50 * this.camera.zoom)}px`;
     }
 
     hideWeightLabel() {
@@ -308,6 +512,7 @@ export class ConnectionManager {
     }
 
     handlePointerDown(event) {
+        if (event.button > 0) return;
         event.preventDefault();
         const isTouch = event.type === 'touchstart';
         const pointer = isTouch ? event.touches[0] : event;
@@ -325,18 +530,20 @@ export class ConnectionManager {
             this.connections.forEach((connection) => {
                 if (connection.arrow === intersects[0].object) {
                     if (this.selectedConnection && this.selectedConnection !== connection) {
-                        this.selectedConnection.arrow.material.color.setHex(0xffffff);
+                        this.selectedConnection.arrow.material.color.setHex(this.getConnectionColor(this.selectedConnection));
                         this.selectedConnection.arrow.scale.setScalar(0.25);
                     }
 
                     this.selectedConnection = connection;
                     this.selectedArrow = connection.arrow;
                     this.isDraggingArrow = true;
+                    this.dragStartSpeed = connection.speed;
                     
                     if (window.settings) {
                         window.settings.selectedConnection = connection;
                         window.settings.selectedWeight = connection.weight || 0.5;
                         window.settings.selectedSpeed = connection.speed || 0.5;
+                        this.setShortTermSettings(connection.shortTerm);
                     }
                     
                     connection.arrow.material.color.setHex(0x00ff00);
@@ -344,7 +551,7 @@ export class ConnectionManager {
                 }
             });
         } else if (this.selectedConnection) {
-            this.selectedConnection.arrow.material.color.setHex(0xffffff);
+            this.selectedConnection.arrow.material.color.setHex(this.getConnectionColor(this.selectedConnection));
             this.selectedConnection = null;
             this.selectedArrow = null;
             this.isDraggingArrow = false;
@@ -353,6 +560,7 @@ export class ConnectionManager {
                 window.settings.selectedConnection = null;
                 window.settings.selectedWeight = 0.5;
                 window.settings.selectedSpeed = 0.5;
+                this.setShortTermSettings();
             }
         }
 
@@ -443,9 +651,9 @@ export class ConnectionManager {
 
         this.needsUpdate = true;
 
-        const targetIndex = window.circles.indexOf(this.selectedConnection.target);
+        const targetId = this.selectedConnection.target.neuron.id;
         if (this.selectedConnection.source?.neuron) {
-            this.selectedConnection.source.neuron.updateConnectionSpeed(targetIndex, dragResult.normalizedSpeed);
+            this.selectedConnection.source.neuron.updateConnectionSpeed(targetId, dragResult.normalizedSpeed);
         }
 
         this.showWeightLabel(this.selectedArrow, this.selectedConnection.weight);
@@ -458,9 +666,9 @@ export class ConnectionManager {
         event.stopPropagation();
         
         const speed = this.selectedConnection.speed;
-        const targetIndex = window.circles.indexOf(this.selectedConnection.target);
+        const targetId = this.selectedConnection.target.neuron.id;
         if (this.selectedConnection.source?.neuron) {
-            this.selectedConnection.source.neuron.updateConnectionSpeed(targetIndex, speed);
+            this.selectedConnection.source.neuron.updateConnectionSpeed(targetId, speed);
         }
         
         this.isDraggingArrow = false;
@@ -475,10 +683,12 @@ export class ConnectionManager {
 
         this.isDraggingBeforeStart = false;
         this.hideWeightLabel();
+
+        this.recordPropertyChange(this.selectedConnection, 'speed', this.dragStartSpeed);
     }
 
     handleWheel(event) {
-        if (this.isDraggingArrow) return;
+        if (this.isDraggingArrow || event.ctrlKey) return;
         event.preventDefault();
         
         this.updateMousePosition(event);
@@ -500,7 +710,9 @@ export class ConnectionManager {
 
                     const delta = event.deltaY > 0 ? -0.1 : 0.1;
                     const currentWeight = connection.weight ?? 0.5;
-                    let newWeight = Math.max(0, Math.min(1, currentWeight + delta));
+                    // Below zero the connection becomes inhibitory
+                    let newWeight = Math.max(-1, Math.min(1, currentWeight + delta));
+                    newWeight = Math.round(newWeight * 100) / 100;
                     
                     connection.weight = newWeight;
                     if (window.settings) {
@@ -508,11 +720,12 @@ export class ConnectionManager {
                         window.settings.selectedWeight = newWeight;
                     }
                     
-                    const targetIndex = window.circles.indexOf(connection.target);
-                    connection.source.neuron.updateConnectionWeight(targetIndex, newWeight);
+                    const targetId = connection.target.neuron.id;
+                    connection.source.neuron.updateConnectionWeight(targetId, newWeight);
                     
                     this.updateConnection(connectionGroup);
                     this.showWeightLabel(arrow, newWeight);
+                    this.recordPropertyChange(connection, 'weight', currentWeight);
 
                     if (connection.source.neuron) {
                         connection.source.neuron.scrollTimeout = setTimeout(() => {
@@ -543,10 +756,7 @@ export class ConnectionManager {
             const clickedArrow = intersects[0].object;
             this.connections.forEach((connection, connectionGroup) => {
                 if (connection.arrow === clickedArrow) {
-                    const targetIndex = window.circles.indexOf(connection.target);
-                    connection.source.neuron.removeConnection(targetIndex);
-                    
-                    this.disposeConnection(connection, connectionGroup);
+                    this.deleteConnection(connection, connectionGroup);
                 }
             });
         }
@@ -610,9 +820,7 @@ export class ConnectionManager {
             }
             
             for (const [connectionGroup, connection] of this.connections) {
-                this.tempVec3 = new THREE.Vector3().copy(connection.source.position);
-                const distToCamera = this.tempVec3.distanceTo(this.camera.position);
-                if (distToCamera < 20) {
+                if (this.isInView(connection.source.position) || this.isInView(connection.target.position)) {
                     this.updateConnection(connectionGroup);
                 }
             }
@@ -622,11 +830,25 @@ export class ConnectionManager {
         this.needsUpdate = false;
     }
 
+    // Whether a point is on screen, with a margin so connections leaving it still follow
+    isInView(position) {
+        this.viewPoint.copy(position).project(this.camera);
+        return Math.abs(this.viewPoint.x) < 1.5 && Math.abs(this.viewPoint.y) < 1.5;
+    }
+
     updateConnection(connectionGroup) {
         const connection = this.connections.get(connectionGroup);
         if (!connection) return;
 
         const { source, target, line, arrow } = connection;
+        const color = window.selectionManager?.hasConnection(connection) ?
+            SELECTION_COLOR : this.getConnectionColor(connection);
+        
+        // Triangle head for excitatory, bar for inhibitory
+        const headGeometry = this.isInhibitory(connection) ? this.barGeometry : this.arrowGeometry;
+        if (arrow.geometry !== headGeometry) {
+            arrow.geometry = headGeometry;
+        }
         
         const positions = line.geometry.attributes.position.array;
         positions[0] = source.position.x;
@@ -652,10 +874,14 @@ export class ConnectionManager {
             arrow.material.color.setHex(0xFFFFFF);
             arrow.scale.setScalar(0.3);
         } else {
+            // Ease toward the weight's opacity so learning is visible as a fade
             const baseOpacity = 0.4;
             const opacity = baseOpacity + (Math.abs(connection.weight ?? 0.5) * 0.6);
-            arrow.material.opacity = opacity;
+            arrow.material.opacity += (opacity - arrow.material.opacity) * 0.3;
             arrow.scale.setScalar(0.25);
+            if (connection !== this.selectedConnection) {
+                arrow.material.color.setHex(color);
+            }
         }
 
         if (!this.isDraggingArrow || arrow !== this.selectedArrow) {
@@ -674,18 +900,18 @@ export class ConnectionManager {
         arrow.rotation.set(-Math.PI/2, 0, -angle);
 
         line.material.opacity = arrow.material.opacity;
-        line.material.color.setHex(0xFFFFFF);
+        line.material.color.setHex(color);
     }
 
-    createConnection(sourceNeuron, targetNeuron) {
+    createConnection(sourceNeuron, targetNeuron, { weight = 0.2, speed = null, shortTerm = DEFAULT_SHORT_TERM } = {}) {
         if (!sourceNeuron || !sourceNeuron.position || 
             !targetNeuron || !targetNeuron.position) {
             console.warn('Invalid neurons for connection');
             return null;
         }
     
-        // Generate random speed between 0.3 and 0.8
-        const randomSpeed = 0.3 + Math.random() * 0.5;  // This gives us a range of 0.3 to 0.8
+        // Generate random speed between 0.3 and 0.8 unless one is given
+        const randomSpeed = speed ?? 0.3 + Math.random() * 0.5;  // This gives us a range of 0.3 to 0.8
         
         const connectionGroup = new THREE.Group();
         
@@ -702,7 +928,10 @@ export class ConnectionManager {
         const positions = new Float32Array(6);
         line.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
         
-        const arrow = new THREE.Mesh(this.arrowGeometry, this.arrowMaterial.clone());
+        const arrow = new THREE.Mesh(
+            weight < 0 ? this.barGeometry : this.arrowGeometry,
+            this.arrowMaterial.clone()
+        );
         arrow.userData.isConnectionArrow = true;
         arrow.matrixAutoUpdate = true;
         arrow.raycast = THREE.Mesh.prototype.raycast;
@@ -715,15 +944,17 @@ export class ConnectionManager {
             target: targetNeuron,
             line: line,
             arrow: arrow,
-            weight: 0.2,
-            speed: randomSpeed  // Use the random speed
+            weight: weight,
+            speed: randomSpeed,  // Use the random speed
+            shortTerm: { ...DEFAULT_SHORT_TERM, ...shortTerm }
         };
         this.connections.set(connectionGroup, connection);
         
         this.scene.add(connectionGroup);
     
-        const targetIndex = window.circles.indexOf(targetNeuron);
-        sourceNeuron.neuron.addConnection(targetIndex, connection.weight, connection.speed);
+        const targetId = targetNeuron.neuron.id;
+        sourceNeuron.neuron.addConnection(targetId, connection.weight, connection.speed);
+        sourceNeuron.neuron.core.setShortTermPlasticity(targetId, connection.shortTerm);
         
         return connectionGroup;
     }
@@ -741,12 +972,35 @@ export class ConnectionManager {
     disposeConnection(connection, connectionGroup) {
         connection.line.geometry.dispose();
         connection.line.material.dispose();
-        connection.arrow.geometry.dispose();
+        // Arrowhead geometries are shared by every connection and disposed in dispose()
         connection.arrow.material.dispose();
         this.scene.remove(connectionGroup);
         this.connections.delete(connectionGroup);
     }
 
+    // Dispose every connection into or out of a neuron that is being deleted
+    removeNeuronConnections(circle) {
+        this.connections.forEach((connection, connectionGroup) => {
+            if (connection.source !== circle && connection.target !== circle) return;
+
+            if (connection === this.selectedConnection) {
+                this.selectedConnection = null;
+                this.selectedArrow = null;
+                this.hideWeightLabel();
+                this.setShortTermSettings();
+            }
+            this.disposeConnection(connection, connectionGroup);
+        });
+    }
+
+    clear() {
+        this.connections.forEach(this.disposeConnection.bind(this));
+        this.selectedConnection = null;
+        this.selectedArrow = null;
+        this.isDraggingArrow = false;
+        this.hideWeightLabel();
+    }
+
     dispose() {
         const canvas = this.renderer.domElement;
         
@@ -765,9 +1019,10 @@ export class ConnectionManager {
         
         this.hideWeightLabel();
         this.arrowGeometry.dispose();
+        this.barGeometry.dispose();
         this.arrowMaterial.dispose();
         
-        this.connections.forEach(this.disposeConnection.bind(this));
+        this.clear();
         clearInterval(this.validationInterval);
     }
 }
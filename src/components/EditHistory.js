@@ -0,0 +1,135 @@
+// Command-based undo/redo. Edits are applied by the caller and then recorded as
+// { label, undo, redo, key }. Commands refer to neurons by id rather than by mesh, so
+// they keep working after a deleted neuron has been recreated by an undo.
+export class EditHistory {
+    constructor({ limit = 200, coalesceWindow = 1000 } = {}) {
+        this.limit = limit;
+        this.coalesceWindow = coalesceWindow; // ms within which same-key edits merge
+        this.undoStack = [];
+        this.redoStack = [];
+        this.group = null;
+        this.applying = false;
+        this.canCoalesce = false;
+        this.listeners = new Set();
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Record an edit that has already been applied. Edits made while undoing or redoing
+    // are part of that command and are not recorded again.
+    push(command) {
+        if (this.applying) return;
+
+        if (this.group) {
+            const last = this.group.commands[this.group.commands.length - 1];
+            if (command.key && last?.key === command.key) {
+                last.redo = command.redo;
+            } else {
+                this.group.commands.push(command);
+            }
+            return;
+        }
+
+        // Continuous gestures (drags, wheel, sliders) collapse into one step
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (command.key && this.canCoalesce && last?.key === command.key &&
+            now - last.time < this.coalesceWindow) {
+            last.redo = command.redo;
+            last.time = now;
+            return;
+        }
+
+        this.undoStack.push({ ...command, time: now });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack.length = 0;
+        this.canCoalesce = true;
+        this.notify();
+    }
+
+    // Collect everything recorded until end() into a single step, e.g. a drag that
+    // moves a neuron and creates connections on the way. A key lets repeated groups
+    // coalesce like single edits, e.g. a slider applied to a whole selection.
+    begin(label, key = null) {
+        if (this.group) {
+            this.group.depth++;
+            return;
+        }
+        this.group = { label, key, commands: [], depth: 1 };
+    }
+
+    end() {
+        if (!this.group || --this.group.depth > 0) return;
+
+        const { label, key, commands } = this.group;
+        this.group = null;
+        if (commands.length === 0) return;
+        if (commands.length === 1) {
+            this.push(commands[0]);
+            return;
+        }
+
+        this.push({
+            label,
+            key,
+            undo: () => [...commands].reverse().forEach(command => command.undo()),
+            redo: () => commands.forEach(command => command.redo())
+        });
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        this.notify();
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        this.apply(() => command.redo());
+        this.undoStack.push(command);
+        this.notify();
+    }
+
+    apply(action) {
+        this.applying = true;
+        this.canCoalesce = false;
+        try {
+            action();
+        } catch (error) {
+            console.warn('Error applying edit:', error);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    // Forget everything, e.g. after loading a different network
+    clear() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+        this.group = null;
+        this.canCoalesce = false;
+        this.notify();
+    }
+}
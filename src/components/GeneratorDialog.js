@@ -0,0 +1,118 @@
+import { GUI } from 'three/examples/jsm/libs/lil-gui.module.min';
+import { GENERATOR_DEFAULTS, NETWORK_GENERATORS, generateNetwork } from '../core/NetworkGenerators.js';
+
+// Slider ranges for numeric template and shared options; booleans become checkboxes
+const PARAM_RANGES = {
+    neurons: { label: 'Neurons', min: 2, max: 200, step: 1 },
+    probability: { label: 'Connection Probability', min: 0, max: 1, step: 0.01 },
+    neighbors: { label: 'Neighbors', min: 2, max: 20, step: 2 },
+    rewiring: { label: 'Rewiring Probability', min: 0, max: 1, step: 0.01 },
+    rows: { label: 'Rows', min: 1, max: 20, step: 1 },
+    columns: { label: 'Columns', min: 1, max: 20, step: 1 },
+    layers: { label: 'Layers', min: 1, max: 10, step: 1 },
+    neuronsPerLayer: { label: 'Neurons per Layer', min: 1, max: 30, step: 1 },
+    bidirectional: { label: 'Bidirectional' },
+    wrap: { label: 'Wrap Around' },
+
+    seed: { label: 'Random Seed', min: 1, max: 9999, step: 1 },
+    weightMin: { label: 'Weight Min', min: 0, max: 1, step: 0.01 },
+    weightMax: { label: 'Weight Max', min: 0, max: 1, step: 0.01 },
+    speedMin: { label: 'Speed Min', min: 0.01, max: 1, step: 0.01 },
+    speedMax: { label: 'Speed Max', min: 0.01, max: 1, step: 0.01 },
+    inhibitoryRatio: { label: 'Inhibitory Ratio', min: 0, max: 1, step: 0.01 },
+    dcInput: { label: 'DC Input', min: 0, max: 1, step: 0.01 },
+    drivenRatio: { label: 'Driven Ratio', min: 0, max: 1, step: 0.01 },
+    spacing: { label: 'Spacing', min: 1, max: 6, step: 0.1 }
+};
+
+// Modal dialog for building a network from a template in NetworkGenerators.js.
+// onGenerate(doc, replace) receives the generated network document.
+export class GeneratorDialog {
+    constructor({ onGenerate }) {
+        this.onGenerate = onGenerate;
+        this.type = 'random';
+        this.params = {};
+        Object.entries(NETWORK_GENERATORS).forEach(([type, generator]) => {
+            this.params[type] = { ...generator.params };
+        });
+        this.shared = { ...GENERATOR_DEFAULTS };
+        this.replace = true;
+        this.templateControllers = [];
+
+        this.createPanel();
+    }
+
+    createPanel() {
+        this.overlay = document.createElement('div');
+        this.overlay.style.position = 'fixed';
+        this.overlay.style.inset = '0';
+        this.overlay.style.display = 'none';
+        this.overlay.style.alignItems = 'center';
+        this.overlay.style.justifyContent = 'center';
+        this.overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.overlay.style.zIndex = '2000';
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        const panel = document.createElement('div');
+        panel.style.maxHeight = '90vh';
+        panel.style.overflowY = 'auto';
+        this.overlay.appendChild(panel);
+
+        this.gui = new GUI({ container: panel, title: 'Generate Network', width: 320 });
+
+        const types = {};
+        Object.entries(NETWORK_GENERATORS).forEach(([type, generator]) => {
+            types[generator.label] = type;
+        });
+        this.gui.add(this, 'type', types).name('Template').onChange(() => this.rebuild());
+
+        this.templateFolder = this.gui.addFolder('Template');
+
+        const sharedFolder = this.gui.addFolder('Weights, Speeds and Input');
+        Object.keys(this.shared).forEach(key => this.addParam(sharedFolder, this.shared, key));
+        sharedFolder.close();
+
+        this.gui.add(this, 'replace').name('Replace Current Network');
+        this.gui.add(this, 'generate').name('Generate');
+        this.gui.add(this, 'close').name('Cancel');
+
+        document.body.appendChild(this.overlay);
+        this.rebuild();
+    }
+
+    addParam(folder, target, key) {
+        const range = PARAM_RANGES[key] || {};
+        const controller = typeof target[key] === 'boolean' ?
+            folder.add(target, key) :
+            folder.add(target, key, range.min, range.max, range.step);
+        return controller.name(range.label || key);
+    }
+
+    // Show the parameters of the chosen template
+    rebuild() {
+        this.templateControllers.forEach(controller => controller.destroy());
+        const params = this.params[this.type];
+        this.templateControllers = Object.keys(params)
+            .map(key => this.addParam(this.templateFolder, params, key));
+    }
+
+    generate() {
+        try {
+            const doc = generateNetwork(this.type, { ...this.shared, ...this.params[this.type] });
+            this.onGenerate(doc, this.replace);
+            this.close();
+        } catch (error) {
+            console.warn('Error generating network:', error);
+        }
+    }
+
+    open() {
+        this.overlay.style.display = 'flex';
+    }
+
+    close() {
+        this.overlay.style.display = 'none';
+    }
+}
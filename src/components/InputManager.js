@@ -14,6 +14,8 @@ export class InputManager {
         this.dragOffset = new THREE.Vector3();
         this.lastPosition = new THREE.Vector3();
         this.velocity = new THREE.Vector3();
+        this.groupDrag = []; // other selected neurons moving with draggedNeuron
+        this.pointerPosition = null; // last cursor position on the ground plane, for pasting
 
         // Mobile-specific properties
         this.isMobile = 'ontouchstart' in window;
@@ -23,12 +25,16 @@ export class InputManager {
         this.doubleTapDelay = 300;
         this.lastTapPosition = { x: 0, y: 0 };
         this.tapDistanceThreshold = 30;
+        this.longPressDelay = 600;
+        this.longPressTimer = null;
+        this.touchStartPosition = { x: 0, y: 0 };
 
         // Mobile GUI properties - only create if on mobile
         if (this.isMobile) {
             this.selectedConnection = null;
             this.mobileControls = null;
             this.createMobileControls();
+            this.createNeuronMenu();
         }
 
 
@@ -45,6 +51,9 @@ export class InputManager {
         this.onTouchStart = this.onTouchStart.bind(this);
         this.onTouchMove = this.onTouchMove.bind(this);
         this.onTouchEnd = this.onTouchEnd.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onCopy = this.onCopy.bind(this);
+        this.onPaste = this.onPaste.bind(this);
 
         // Prevent default touch behavior on the canvas
         renderer.domElement.style.touchAction = 'none';
@@ -59,9 +68,13 @@ export class InputManager {
         } else {
             renderer.domElement.addEventListener('mousedown', this.onMouseDown);
             renderer.domElement.addEventListener('mousemove', this.onMouseMove);
-            renderer.domElement.addEventListener('mouseup', this.onMouseUp);
+            // On the window, so a drag released outside the canvas still ends its undo group
+            window.addEventListener('mouseup', this.onMouseUp);
             renderer.domElement.addEventListener('wheel', this.onWheel);
             renderer.domElement.addEventListener('dblclick', this.onDoubleClick.bind(this)); // Add double click for desktop
+            window.addEventListener('keydown', this.onKeyDown);
+            document.addEventListener('copy', this.onCopy);
+            document.addEventListener('paste', this.onPaste);
         }
     }
 
@@ -87,18 +100,114 @@ export class InputManager {
         title.style.fontSize = '18px';
         this.mobileControls.appendChild(title);
 
-        // Weight Slider
-        const weightContainer = this.createSliderContainer('Weight');
-        this.mobileControls.appendChild(weightContainer);
+        this.mobileSliders = {};
+
+        // Weight Slider, negative weights are inhibitory
+        this.mobileControls.appendChild(this.createSliderContainer('Weight', {
+            min: -1,
+            onInput: value => this.updateConnectionWeight(value)
+        }));
 
         // Speed Slider
-        const speedContainer = this.createSliderContainer('Speed');
-        this.mobileControls.appendChild(speedContainer);
+        this.mobileControls.appendChild(this.createSliderContainer('Speed', {
+            onInput: value => this.updateConnectionSpeed(value)
+        }));
+
+        // Short-term plasticity
+        this.mobileControls.appendChild(this.createToggleContainer('Short-term', enabled => {
+            this.updateShortTermPlasticity({ enabled });
+        }));
+
+        this.mobileControls.appendChild(this.createSliderContainer('U', {
+            min: 0.01,
+            onInput: U => this.updateShortTermPlasticity({ U })
+        }));
+
+        this.mobileControls.appendChild(this.createSliderContainer('Recovery (ms)', {
+            min: 1, max: 2000, step: 1, value: 800, decimals: 0,
+            onInput: tauRec => this.updateShortTermPlasticity({ tauRec })
+        }));
+
+        this.mobileControls.appendChild(this.createSliderContainer('Facilitation (ms)', {
+            max: 2000, step: 1, value: 0, decimals: 0,
+            onInput: tauFacil => this.updateShortTermPlasticity({ tauFacil })
+        }));
 
         document.body.appendChild(this.mobileControls);
     }
 
-    createSliderContainer(label) {
+    // Long-press menu for a neuron on touch devices
+    createNeuronMenu() {
+        this.neuronMenu = document.createElement('div');
+        this.neuronMenu.style.position = 'fixed';
+        this.neuronMenu.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        this.neuronMenu.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+        this.neuronMenu.style.borderRadius = '10px';
+        this.neuronMenu.style.padding = '6px';
+        this.neuronMenu.style.display = 'none';
+        this.neuronMenu.style.zIndex = '1001';
+        this.neuronMenu.style.transform = 'translate(-50%, -120%)';
+
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete Neuron';
+        deleteButton.style.display = 'block';
+        deleteButton.style.padding = '10px 16px';
+        deleteButton.style.fontSize = '16px';
+        deleteButton.style.color = 'white';
+        deleteButton.style.backgroundColor = '#c62828';
+        deleteButton.style.border = 'none';
+        deleteButton.style.borderRadius = '6px';
+        deleteButton.addEventListener('click', () => {
+            window.settings.deleteNeuron(this.menuNeuron);
+            this.hideNeuronMenu();
+        });
+        this.neuronMenu.appendChild(deleteButton);
+
+        document.body.appendChild(this.neuronMenu);
+    }
+
+    showNeuronMenu(circle, x, y) {
+        this.menuNeuron = circle;
+        this.neuronMenu.style.left = `${x}px`;
+        this.neuronMenu.style.top = `${y}px`;
+        this.neuronMenu.style.display = 'block';
+    }
+
+    hideNeuronMenu() {
+        this.menuNeuron = null;
+        this.neuronMenu.style.display = 'none';
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    createToggleContainer(label, onChange) {
+        const container = document.createElement('label');
+        container.style.color = 'white';
+        container.style.marginBottom = '20px';
+        container.style.display = 'flex';
+        container.style.justifyContent = 'space-between';
+        container.style.alignItems = 'center';
+        container.style.fontSize = '16px';
+
+        const labelText = document.createElement('span');
+        labelText.textContent = label;
+        container.appendChild(labelText);
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.style.width = '24px';
+        checkbox.style.height = '24px';
+        checkbox.addEventListener('change', (e) => onChange(e.target.checked));
+        container.appendChild(checkbox);
+
+        this.mobileShortTermToggle = checkbox;
+        return container;
+    }
+
+    createSliderContainer(label, { min = 0, max = 1, step = 0.01, value: initialValue = 0.5, decimals = 2, onInput } = {}) {
         const container = document.createElement('div');
         container.style.marginBottom = '20px';
         
@@ -115,7 +224,7 @@ export class InputManager {
         labelElement.appendChild(labelText);
         
         const value = document.createElement('span');
-        value.textContent = '0.50';
+        value.textContent = initialValue.toFixed(decimals);
         value.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
         value.style.padding = '4px 8px';
         value.style.borderRadius = '4px';
@@ -124,10 +233,10 @@ export class InputManager {
         
         const slider = document.createElement('input');
         slider.type = 'range';
-        slider.min = '0';
-        slider.max = '1';
-        slider.step = '0.01';
-        slider.value = '0.5';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.value = String(initialValue);
         slider.style.width = '100%';
         slider.style.height = '20px';
         slider.style.webkitAppearance = 'none';
@@ -175,18 +284,23 @@ export class InputManager {
         }
         
         slider.addEventListener('input', (e) => {
-            value.textContent = parseFloat(e.target.value).toFixed(2);
-            if (label === 'Weight') {
-                this.updateConnectionWeight(e.target.value);
-            } else {
-                this.updateConnectionSpeed(e.target.value);
-            }
+            value.textContent = parseFloat(e.target.value).toFixed(decimals);
+            onInput?.(parseFloat(e.target.value));
         });
+
+        this.mobileSliders[label] = { slider, value, decimals };
     
         container.appendChild(labelElement);
         container.appendChild(slider);
         return container;
     }
+
+    setMobileSlider(label, newValue) {
+        const { slider, value, decimals } = this.mobileSliders[label];
+        slider.value = newValue;
+        value.textContent = Number(newValue).toFixed(decimals);
+    }
+
     updateMousePosition(event) {
         const rect = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -214,34 +328,38 @@ export class InputManager {
 
     updateConnectionWeight(value) {
         if (!this.isMobile || !this.selectedConnection) return;
-        const newWeight = parseFloat(value);
-        this.selectedConnection.weight = newWeight;
-        
-        const targetIndex = window.circles.indexOf(this.selectedConnection.target);
-        if (this.selectedConnection.source?.neuron) {
-            this.selectedConnection.source.neuron.updateConnectionWeight(targetIndex, newWeight);
-        }
+        const before = this.selectedConnection.weight;
+        this.connectionManager.setConnectionProperty(this.selectedConnection, 'weight', parseFloat(value));
+        this.connectionManager.recordPropertyChange(this.selectedConnection, 'weight', before);
     }
 
     updateConnectionSpeed(value) {
         if (!this.isMobile || !this.selectedConnection) return;
-        const newSpeed = parseFloat(value);
-        this.selectedConnection.speed = newSpeed;
-        
-        const targetIndex = window.circles.indexOf(this.selectedConnection.target);
-        if (this.selectedConnection.source?.neuron) {
-            this.selectedConnection.source.neuron.updateConnectionSpeed(targetIndex, newSpeed);
-        }
+        const before = this.selectedConnection.speed;
+        this.connectionManager.setConnectionProperty(this.selectedConnection, 'speed', parseFloat(value));
+        this.connectionManager.recordPropertyChange(this.selectedConnection, 'speed', before);
+    }
+
+    updateShortTermPlasticity(params) {
+        if (!this.isMobile || !this.selectedConnection) return;
+        this.connectionManager.updateShortTermPlasticity(params, this.selectedConnection);
     }
 
     onTouchStart(event) {
         event.preventDefault();
         const touch = event.touches[0];
         const currentTime = Date.now();
+
+        this.cancelLongPress();
+        this.hideNeuronMenu();
     
         if (event.touches.length === 2) {
             this.isMultiTouch = true;
             this.lastTouchDistance = this.getTouchDistance(event.touches);
+            this.lastMidpoint = {
+                x: (event.touches[0].clientX + event.touches[1].clientX) / 2,
+                y: (event.touches[0].clientY + event.touches[1].clientY) / 2
+            };
             return;
         }
     
@@ -261,15 +379,13 @@ export class InputManager {
                     this.selectedConnection = connection;
                     
                     // Update slider values
-                    const weightSlider = this.mobileControls.querySelector('input[type="range"]:nth-of-type(1)');
-                    const speedSlider = this.mobileControls.querySelector('input[type="range"]:nth-of-type(2)');
-                    const weightValue = this.mobileControls.querySelector('div:nth-of-type(2) span');
-                    const speedValue = this.mobileControls.querySelector('div:nth-of-type(3) span');
-                    
-                    weightSlider.value = connection.weight || 0.5;
-                    speedSlider.value = connection.speed || 0.5;
-                    weightValue.textContent = (connection.weight || 0.5).toFixed(2);
-                    speedValue.textContent = (connection.speed || 0.5).toFixed(2);
+                    const shortTerm = connection.shortTerm || {};
+                    this.setMobileSlider('Weight', connection.weight ?? 0.5);
+                    this.setMobileSlider('Speed', connection.speed ?? 0.5);
+                    this.setMobileSlider('U', shortTerm.U ?? 0.5);
+                    this.setMobileSlider('Recovery (ms)', shortTerm.tauRec ?? 800);
+                    this.setMobileSlider('Facilitation (ms)', shortTerm.tauFacil ?? 0);
+                    this.mobileShortTermToggle.checked = !!shortTerm.enabled;
                     
                     // Show controls
                     this.mobileControls.style.display = 'block';
@@ -302,7 +418,7 @@ export class InputManager {
                 const neuron = intersects[0].object;
                 const currentDC = neuron.neuron.dcInput || 0;
                 const newDC = Math.min(1, currentDC + 0.1);
-                neuron.neuron.setDCInput(newDC);
+                neuron.neuron.changeDCInput(newDC);
             } else {
                 // Create new neuron on empty space double tap
                 const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
@@ -324,6 +440,95 @@ export class InputManager {
         // Handle regular touch start
         this.updateTouchPosition(touch);
         this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+
+        // Holding still on a neuron opens its menu
+        if (this.draggedNeuron) {
+            const circle = this.draggedNeuron;
+            this.touchStartPosition = tapPosition;
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.velocity.set(0, 0, 0);
+                this.onMouseUp();
+                this.showNeuronMenu(circle, tapPosition.x, tapPosition.y);
+            }, this.longPressDelay);
+        }
+    }
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes, Ctrl/Cmd+A and Escape
+    // select all or nothing, F frames the view and Delete or Backspace removes the selection
+    onKeyDown(event) {
+        if (this.isEditingText(event.target)) return;
+
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                window.editHistory?.redo();
+            } else {
+                window.editHistory?.undo();
+            }
+            return;
+        }
+
+        if ((event.ctrlKey || event.metaKey) && key === 'a') {
+            event.preventDefault();
+            window.selectionManager?.selectAll();
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            window.selectionManager?.clear();
+            return;
+        }
+
+        // F frames the selection, or the whole network when nothing is selected
+        if (key === 'f' && !event.ctrlKey && !event.metaKey) {
+            if (window.selectionManager?.size > 0) {
+                window.cameraController?.zoomToSelection();
+            } else {
+                window.cameraController?.zoomToFit();
+            }
+            return;
+        }
+
+        if (event.key !== 'Delete' && event.key !== 'Backspace') return;
+
+        if (window.selectionManager?.size > 0) {
+            event.preventDefault();
+            window.settings.deleteSelection();
+            return;
+        }
+
+        const circle = window.neuronInspector?.circle;
+        if (circle) {
+            event.preventDefault();
+            window.settings.deleteNeuron(circle);
+        }
+    }
+
+    isEditingText(target) {
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    // Ctrl/Cmd+C puts the selected neurons on the clipboard as a network document, so
+    // they can be pasted into another tab
+    onCopy(event) {
+        if (this.isEditingText(event.target)) return;
+
+        const text = window.settings.copySelection();
+        if (!text) return;
+        event.preventDefault();
+        event.clipboardData.setData('text/plain', text);
+    }
+
+    // Ctrl/Cmd+V pastes them centred on the cursor
+    onPaste(event) {
+        if (this.isEditingText(event.target)) return;
+
+        const text = event.clipboardData?.getData('text/plain');
+        if (!text) return;
+        event.preventDefault();
+        window.settings.paste(text, this.pointerPosition);
     }
 
 
@@ -356,6 +561,8 @@ onTouchMove(event) {
     event.preventDefault();
 
     if (event.touches.length === 2) {
+        this.cancelLongPress();
+
         // Reset velocity to prevent slingshot
         this.velocity.set(0, 0, 0);
         
@@ -371,11 +578,16 @@ onTouchMove(event) {
         if (this.draggedNeuron?.neuron) {
             const currentDC = this.draggedNeuron.neuron.dcInput || 0;
             const newDC = Math.max(0, Math.min(1, currentDC + delta));
-            this.draggedNeuron.neuron.setDCInput(newDC);
+            this.draggedNeuron.neuron.changeDCInput(newDC);
             
             // Update position based on midpoint
             this.updateTouchPosition({ clientX: midpoint.x, clientY: midpoint.y });
             this.lastPosition.copy(this.draggedNeuron.position);
+        } else if (window.cameraController && this.lastMidpoint && this.lastTouchDistance > 0) {
+            // Two fingers on empty space pan and pinch-zoom the view
+            const camera = window.cameraController;
+            camera.pan(this.lastMidpoint.x, this.lastMidpoint.y, midpoint.x, midpoint.y);
+            camera.zoomAt(currentDistance / this.lastTouchDistance, midpoint.x, midpoint.y);
         }
         
         this.lastTouchDistance = currentDistance;
@@ -384,12 +596,23 @@ onTouchMove(event) {
     }
 
     const touch = event.touches[0];
+    if (this.longPressTimer) {
+        const moved = Math.hypot(
+            touch.clientX - this.touchStartPosition.x,
+            touch.clientY - this.touchStartPosition.y
+        );
+        if (moved > this.tapDistanceThreshold) {
+            this.cancelLongPress();
+        }
+    }
+
     this.updateTouchPosition(touch);
     this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
 }
 
 onTouchEnd(event) {
     event.preventDefault();
+    this.cancelLongPress();
     
     if (this.isMultiTouch) {
         // If we were pinching, use the last midpoint position
@@ -408,34 +631,96 @@ onTouchEnd(event) {
 }
 
     onMouseDown(event) {
+        // Middle and right buttons pan the view
+        if (event.button > 0) return;
+
         this.updateMousePosition(event);
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
         const intersects = this.raycaster.intersectObjects(window.circles);
+        const selection = window.selectionManager;
         
         if (intersects.length > 0) {
+            const circle = intersects[0].object;
+
+            // Shift-click adds or removes a neuron; a plain click selects only it,
+            // unless it is already part of the selection that is about to be dragged
+            if (event.shiftKey) {
+                selection?.toggleNeuron(circle);
+                if (selection && !selection.hasNeuron(circle)) return;
+            } else if (selection && !selection.hasNeuron(circle)) {
+                selection.set([circle]);
+            }
+
             this.isDragging = true;
-            this.draggedNeuron = intersects[0].object;
+            this.draggedNeuron = circle;
+            window.neuronInspector?.setNeuron(this.draggedNeuron);
+
+            // The move and any connections made on the way undo as one step
+            this.dragStartPosition = this.draggedNeuron.position.clone();
+            window.editHistory?.begin('Move neuron');
+
+            this.groupDrag = Array.from(selection?.neurons || [])
+                .filter(other => other !== circle)
+                .map(other => ({ circle: other, start: other.position.clone() }));
             
             const intersectionPoint = this.getIntersectionPoint(this.mouse);
             this.dragOffset.copy(this.draggedNeuron.position).sub(intersectionPoint);
             this.lastPosition.copy(this.draggedNeuron.position);
+        } else {
+            window.neuronInspector?.setNeuron(null);
+
+            const arrows = Array.from(this.connectionManager.connections.values())
+                .map(connection => connection.arrow)
+                .filter(Boolean);
+            const arrowIntersects = this.raycaster.intersectObjects(arrows);
+
+            if (arrowIntersects.length > 0) {
+                // Shift-click adds or removes a connection
+                if (event.shiftKey) {
+                    const connection = Array.from(this.connectionManager.connections.values())
+                        .find(connection => connection.arrow === arrowIntersects[0].object);
+                    selection?.toggleConnection(connection);
+                } else {
+                    selection?.clear();
+                }
+            } else if (event.shiftKey) {
+                // Shift-drag on empty space draws a selection box
+                selection?.startBox(event.clientX, event.clientY);
+                this.lastClientPosition = { x: event.clientX, y: event.clientY };
+            } else {
+                selection?.clear();
+            }
         }
     }
 
     onMouseMove(event) {
-        if (!this.isDragging || !this.draggedNeuron) return;
-    
         this.updateMousePosition(event);
-        const intersectionPoint = this.getIntersectionPoint(this.mouse);
-        
-        const newPosition = intersectionPoint.add(this.dragOffset);
+        this.pointerPosition = this.getIntersectionPoint(this.mouse);
+
+        if (window.selectionManager?.isBoxSelecting) {
+            window.selectionManager.updateBox(event.clientX, event.clientY);
+            this.lastClientPosition = { x: event.clientX, y: event.clientY };
+            return;
+        }
+
+        if (!this.isDragging || !this.draggedNeuron) return;
+
+        const newPosition = this.pointerPosition.clone().add(this.dragOffset);
         newPosition.y = 0;
     
         this.velocity.subVectors(newPosition, this.lastPosition);
         
         this.draggedNeuron.position.copy(newPosition);
         this.lastPosition.copy(newPosition);
+
+        // Move the rest of the selection by the same amount
+        const dx = newPosition.x - this.dragStartPosition.x;
+        const dz = newPosition.z - this.dragStartPosition.z;
+        this.groupDrag.forEach(({ circle, start }) => {
+            circle.position.x = start.x + dx;
+            circle.position.z = start.z + dz;
+        });
     
         // Check for nearby neurons and trigger feedback
         const circles = window.circles || [];
@@ -479,12 +764,21 @@ onTouchEnd(event) {
     }
 
     onMouseUp() {
+        if (window.selectionManager?.isBoxSelecting) {
+            const { x, y } = this.lastClientPosition;
+            window.selectionManager.endBox(x, y, true);
+        }
+
         if (this.isDragging && this.draggedNeuron) {
+            let finalPosition = this.draggedNeuron.position.clone();
+
+            // Only a single neuron is thrown on release
             const speed = this.velocity.length();
-            if (speed > 0.001) {
+            if (speed > 0.001 && this.groupDrag.length === 0) {
                 const targetPosition = new THREE.Vector3()
                     .copy(this.draggedNeuron.position)
                     .add(this.velocity.multiplyScalar(10));
+                finalPosition = targetPosition.clone();
 
                 gsap.to(this.draggedNeuron.position, {
                     x: targetPosition.x,
@@ -496,14 +790,42 @@ onTouchEnd(event) {
                     }
                 });
             }
+
+            this.recordMove(this.draggedNeuron, this.dragStartPosition, finalPosition);
+            this.groupDrag.forEach(({ circle, start }) => {
+                this.recordMove(circle, start, circle.position.clone());
+            });
+            window.editHistory?.end();
         }
 
         this.isDragging = false;
         this.draggedNeuron = null;
+        this.groupDrag = [];
         this.velocity.set(0, 0, 0);
     }
 
+    recordMove(circle, from, to) {
+        if (from.distanceTo(to) < 0.001) return;
+
+        const id = circle.neuron.id;
+        const apply = position => {
+            const target = this.connectionManager.findCircle(id);
+            if (!target) return;
+            gsap.killTweensOf(target.position);
+            target.position.x = position.x;
+            target.position.z = position.z;
+        };
+
+        window.editHistory?.push({
+            label: 'Move neuron',
+            undo: () => apply(from),
+            redo: () => apply(to)
+        });
+    }
+
     onWheel(event) {
+        // Ctrl+wheel zooms the view
+        if (event.ctrlKey) return;
         event.preventDefault();
         
         this.updateMousePosition(event);
@@ -519,7 +841,7 @@ onTouchEnd(event) {
                 if (delta > 0) {
                     neuron.neuron.currentCharge = neuron.neuron.dcInput || 0;
                     neuron.neuron.isFiring = false;
-                    neuron.neuron.lastFiringTime = 0;
+                    neuron.neuron.lastFiringTime = -Infinity;
                 }
                 
                 let newDC = (neuron.neuron.dcInput || 0) + delta;
@@ -529,10 +851,10 @@ onTouchEnd(event) {
                 if (newDC === 0) {
                     neuron.neuron.currentCharge = 0;
                     neuron.neuron.isFiring = false;
-                    neuron.neuron.lastFiringTime = 0;
+                    neuron.neuron.lastFiringTime = -Infinity;
                 }
                 
-                neuron.neuron.setDCInput(newDC);
+                neuron.neuron.changeDCInput(newDC);
                 
                 // Force update scale
                 const targetScale = neuron.neuron.baseScale + 
@@ -560,12 +882,18 @@ onTouchEnd(event) {
                 this.mobileControls.parentNode.removeChild(this.mobileControls);
                 this.mobileControls = null;
             }
+
+            this.cancelLongPress();
+            this.neuronMenu?.remove();
         } else {
             this.renderer.domElement.removeEventListener('mousedown', this.onMouseDown);
             this.renderer.domElement.removeEventListener('mousemove', this.onMouseMove);
-            this.renderer.domElement.removeEventListener('mouseup', this.onMouseUp);
+            window.removeEventListener('mouseup', this.onMouseUp);
             this.renderer.domElement.removeEventListener('wheel', this.onWheel);
             this.renderer.domElement.removeEventListener('dblclick', this.onDoubleClick.bind(this)); // Added this line
+            window.removeEventListener('keydown', this.onKeyDown);
+            document.removeEventListener('copy', this.onCopy);
+            document.removeEventListener('paste', this.onPaste);
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,261 @@
+import * as Tone from 'tone';
+
+// Instrument engines, each a way of building one monophonic voice. SoundManager keeps a
+// pool of voices per preset, so every note has its own envelope and a new spike never
+// reshapes one that is still sounding. shape() applies the envelope and modulation
+// derived from a spike to the voice about to play it.
+export const INSTRUMENT_ENGINES = {
+    fm: {
+        label: 'FM',
+        create: options => new Tone.FMSynth(options),
+        shape(synth, { envelope, modulation }) {
+            synth.set({
+                envelope,
+                modulationEnvelope: envelope,
+                harmonicity: modulation.harmonicity,
+                modulationIndex: modulation.modulationIndex
+            });
+        }
+    },
+
+    am: {
+        label: 'AM',
+        create: options => new Tone.AMSynth(options),
+        shape(synth, { envelope, modulation }) {
+            synth.set({
+                envelope,
+                modulationEnvelope: envelope,
+                harmonicity: modulation.harmonicity
+            });
+        }
+    },
+
+    // Oscillator through a resonant filter with its own envelope
+    subtractive: {
+        label: 'Subtractive',
+        create: options => new Tone.MonoSynth(options),
+        shape(synth, { envelope }) {
+            synth.set({ envelope, filterEnvelope: { decay: envelope.decay, release: envelope.release } });
+        }
+    },
+
+    // Karplus-Strong string; it has no envelope, so velocity sets its level instead
+    plucked: {
+        label: 'Plucked String',
+        create: options => new Tone.PluckSynth(options),
+        shape(synth, { envelope, velocity }, time) {
+            synth.set({ release: envelope.release });
+            synth.volume.setValueAtTime(Tone.gainToDb(Math.max(velocity, 0.01)), time);
+        }
+    },
+
+    membrane: {
+        label: 'Membrane',
+        create: options => new Tone.MembraneSynth(options),
+        shape(synth, { envelope }) {
+            synth.set({ envelope: { decay: envelope.decay, release: envelope.release } });
+        }
+    },
+
+    metal: {
+        label: 'Metal',
+        create: options => new Tone.MetalSynth(options),
+        shape(synth, { envelope }) {
+            synth.set({ envelope: { decay: envelope.decay, release: envelope.release } });
+        }
+    },
+
+    // Plays the sample loaded with SoundManager.loadSample(), repitched from its root note
+    sample: {
+        label: 'Sample Player',
+        create: options => new Tone.Sampler(options),
+        shape(synth, { envelope }) {
+            synth.release = envelope.release;
+        }
+    }
+};
+
+// What neurons choose from. Each preset is an engine with its own voice options, a
+// voice count, and multipliers for the modulation and envelope each spike derives.
+export const INSTRUMENT_PRESETS = {
+    marimba: {
+        label: 'Marimba',
+        engine: 'fm',
+        voices: 8,
+        options: {
+            oscillator: { type: 'sine', partials: [1, 0.5, 0.25] },
+            modulation: { type: 'triangle' }
+        },
+        harmonicity: 1,
+        modulationIndex: 1,
+        envelopeScale: 1
+    },
+    bell: {
+        label: 'Bell',
+        engine: 'fm',
+        voices: 8,
+        options: {
+            oscillator: { type: 'sine' },
+            modulation: { type: 'sine' }
+        },
+        harmonicity: 1.75,
+        modulationIndex: 4,
+        envelopeScale: 2.5
+    },
+    pad: {
+        label: 'Pad',
+        engine: 'am',
+        voices: 6,
+        options: {
+            oscillator: { type: 'triangle' },
+            modulation: { type: 'sine' }
+        },
+        harmonicity: 0.5,
+        modulationIndex: 1,
+        envelopeScale: 3
+    },
+    bass: {
+        label: 'Bass',
+        engine: 'subtractive',
+        voices: 4,
+        options: {
+            oscillator: { type: 'sawtooth' },
+            filter: { Q: 4, type: 'lowpass' },
+            filterEnvelope: { attack: 0.01, sustain: 0.3, baseFrequency: 120, octaves: 3 }
+        },
+        harmonicity: 1,
+        modulationIndex: 1,
+        envelopeScale: 1
+    },
+    pluck: {
+        label: 'Plucked String',
+        engine: 'plucked',
+        voices: 8,
+        options: { attackNoise: 1, dampening: 4000, resonance: 0.9 },
+        harmonicity: 1,
+        modulationIndex: 1,
+        envelopeScale: 1
+    },
+    drum: {
+        label: 'Drum',
+        engine: 'membrane',
+        voices: 4,
+        options: { pitchDecay: 0.05, octaves: 4 },
+        harmonicity: 1,
+        modulationIndex: 1,
+        envelopeScale: 1.5
+    },
+    cymbal: {
+        label: 'Cymbal',
+        engine: 'metal',
+        voices: 4,
+        options: { harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5, volume: -18 },
+        harmonicity: 1,
+        modulationIndex: 1,
+        envelopeScale: 2
+    },
+    sample: {
+        label: 'Sample',
+        engine: 'sample',
+        voices: 4,
+        options: {},
+        harmonicity: 1,
+        modulationIndex: 1,
+        envelopeScale: 1
+    }
+};
+
+// Estimated level of a voice: its velocity until release, then fading to silence
+function voiceLevel(voice, time) {
+    if (time < voice.releaseAt) return voice.velocity;
+    const remaining = (voice.busyUntil - time) / Math.max(voice.busyUntil - voice.releaseAt, 0.001);
+    return voice.velocity * Math.max(0, remaining);
+}
+
+const oldestVoice = voices => voices.reduce((oldest, voice) => voice.startedAt < oldest.startedAt ? voice : oldest);
+
+// Which sounding voice a note takes over when every voice in a pool is busy
+export const VOICE_STEALING = {
+    oldest: {
+        label: 'Oldest',
+        steal: voices => oldestVoice(voices)
+    },
+    quietest: {
+        label: 'Quietest',
+        steal: (voices, time) => voices.reduce((quietest, voice) =>
+            voiceLevel(voice, time) < voiceLevel(quietest, time) ? voice : quietest)
+    },
+    // A neuron cuts off its own previous note, even while other voices are free, so it
+    // never plays over itself; otherwise the oldest voice is taken
+    sameNeuron: {
+        label: 'Same Neuron',
+        steal: voices => oldestVoice(voices)
+    }
+};
+
+// Set of voices for one preset, as many as its polyphony allows. A note takes a voice
+// that has finished sounding, or steals one by the stealing policy when all are busy.
+export class InstrumentPool {
+    constructor(preset, output, { polyphony = preset.voices, stealing = 'oldest' } = {}) {
+        this.preset = preset;
+        this.engine = INSTRUMENT_ENGINES[preset.engine];
+        this.output = output;
+        this.stealing = stealing;
+        this.voices = [];
+        this.setPolyphony(polyphony);
+    }
+
+    setPolyphony(count) {
+        while (this.voices.length < count) {
+            this.voices.push({
+                synth: this.engine.create(this.preset.options).connect(this.output),
+                neuronId: null,
+                velocity: 0,
+                startedAt: -Infinity,
+                releaseAt: 0,
+                busyUntil: 0
+            });
+        }
+        while (this.voices.length > Math.max(1, count)) {
+            this.voices.pop().synth.dispose();
+        }
+    }
+
+    allocate(time, neuronId) {
+        const sounding = this.voices.filter(voice => voice.busyUntil > time);
+        if (this.stealing === 'sameNeuron') {
+            const own = sounding.find(voice => voice.neuronId === neuronId);
+            if (own) return own;
+        }
+
+        const free = this.voices.find(voice => voice.busyUntil <= time);
+        if (free) return free;
+
+        const policy = VOICE_STEALING[this.stealing] ?? VOICE_STEALING.oldest;
+        return policy.steal(sounding, time, neuronId);
+    }
+
+    play(note, duration, velocity, { envelope, modulation }, neuronId = null, time = Tone.now()) {
+        const voice = this.allocate(time, neuronId);
+
+        this.engine.shape(voice.synth, {
+            envelope,
+            velocity,
+            modulation: {
+                harmonicity: modulation.harmonicity * this.preset.harmonicity,
+                modulationIndex: modulation.modulationIndex * this.preset.modulationIndex
+            }
+        }, time);
+        voice.synth.triggerAttackRelease(note, duration, time, velocity);
+
+        voice.neuronId = neuronId;
+        voice.velocity = velocity;
+        voice.startedAt = time;
+        voice.releaseAt = time + duration;
+        voice.busyUntil = voice.releaseAt + envelope.release;
+    }
+
+    dispose() {
+        this.voices.forEach(({ synth }) => synth.dispose());
+    }
+}
@@ -0,0 +1,95 @@
+import * as Tone from 'tone';
+
+// Beat lights for quantized playback, driven by the Tone transport so they flash with
+// the quantized notes rather than the simulation
+export class Metronome {
+    constructor() {
+        this.eventId = null;
+        this.beats = [];
+        this.createPanel();
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.top = '10px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.display = 'none';
+        this.container.style.alignItems = 'center';
+        this.container.style.gap = '6px';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.container.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+        this.container.style.borderRadius = '6px';
+        this.container.style.padding = '6px 10px';
+        this.container.style.zIndex = '900';
+        this.container.style.fontFamily = 'monospace';
+        this.container.style.fontSize = '11px';
+        this.container.style.color = 'white';
+
+        this.label = document.createElement('span');
+        this.label.style.marginRight = '4px';
+        this.container.appendChild(this.label);
+
+        this.lights = document.createElement('div');
+        this.lights.style.display = 'flex';
+        this.lights.style.gap = '4px';
+        this.container.appendChild(this.lights);
+
+        document.body.appendChild(this.container);
+    }
+
+    // Lights for every beat of the bar, the first one brighter
+    createLights(count) {
+        this.lights.replaceChildren();
+        this.beats = Array.from({ length: count }, () => {
+            const light = document.createElement('div');
+            light.style.width = '10px';
+            light.style.height = '10px';
+            light.style.borderRadius = '50%';
+            light.style.backgroundColor = '#333';
+            light.style.transition = 'background-color 0.1s';
+            this.lights.appendChild(light);
+            return light;
+        });
+    }
+
+    flash(beat) {
+        this.beats.forEach((light, index) => {
+            const color = beat === 0 ? '#00ff88' : '#ffff00';
+            light.style.backgroundColor = index === beat ? color : '#333';
+        });
+    }
+
+    setBpm(bpm) {
+        this.label.textContent = `${Math.round(bpm)} BPM`;
+    }
+
+    start() {
+        if (this.eventId !== null) return;
+
+        const transport = Tone.getTransport();
+        const beatsPerBar = Math.max(1, Math.round(transport.timeSignature));
+        this.createLights(beatsPerBar);
+        this.setBpm(transport.bpm.value);
+
+        this.eventId = transport.scheduleRepeat(time => {
+            const beat = Math.floor(transport.getTicksAtTime(time) / transport.PPQ) % beatsPerBar;
+            Tone.getDraw().schedule(() => this.flash(beat), time);
+        }, '4n', 0);
+        this.container.style.display = 'flex';
+    }
+
+    stop() {
+        if (this.eventId !== null) {
+            Tone.getTransport().clear(this.eventId);
+            this.eventId = null;
+        }
+        this.container.style.display = 'none';
+    }
+
+    cleanup() {
+        this.stop();
+        this.container.remove();
+    }
+}
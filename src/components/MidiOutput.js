@@ -0,0 +1,198 @@
+// Sends a MIDI note for every spike, to drive external synths and DAWs through Web MIDI.
+// Each neuron plays on its own channel and note (sound.midiChannel and sound.midiNote);
+// velocity follows the weight of the input that made it fire, and the note lasts as long
+// as the envelope its spike sounds with.
+
+export const MOCK_PORT_ID = 'mock';
+
+// Messages kept by the mock port
+const MAX_MESSAGES = 1000;
+
+// Velocity for spikes no input caused, e.g. from DC input, sources or clicks
+const SPONTANEOUS_VELOCITY = 80;
+
+// How long before a spike an input still counts as its cause, in simulated ms. Most
+// models fire a few steps after the input that pushed them over, not on the delivery.
+const INPUT_WINDOW = 20;
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xb0;
+const ALL_NOTES_OFF = 123;
+
+// Stands in for a MIDI output port in test mode: keeps every message it is sent, so
+// output can be checked without hardware
+export class MockMidiPort {
+    constructor() {
+        this.id = MOCK_PORT_ID;
+        this.name = 'Test (mock port)';
+        this.messages = []; // { data: [status, data1, data2], timestamp }
+    }
+
+    send(data, timestamp = performance.now()) {
+        this.messages.push({ data: Array.from(data), timestamp });
+        if (this.messages.length > MAX_MESSAGES) {
+            this.messages.shift();
+        }
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+// Nearest MIDI note number to a frequency in Hz
+export function frequencyToMidi(frequency) {
+    return Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(frequency / 440))));
+}
+
+export class MidiOutput {
+    constructor(network) {
+        this.network = network;
+        this.enabled = false;
+        this.access = null;
+        this.mockPort = new MockMidiPort();
+        this.port = this.mockPort;
+        this.lastMessage = '';
+
+        this.lastInputs = new Map(); // neuron id -> { weight, time } of the latest spike received
+        this.heldNotes = new Map();  // 'channel:note' -> note-off timeout
+        this.listeners = new Set();
+
+        this.unsubscribe = network.on('deliver', event => {
+            this.lastInputs.set(event.targetId, { weight: event.weight, time: network.clock.time });
+        });
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Ask the browser for MIDI access; devices then appear in getDevices()
+    async requestAccess() {
+        if (!navigator.requestMIDIAccess) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+        this.access = await navigator.requestMIDIAccess();
+        this.access.onstatechange = () => this.notify();
+        this.notify();
+    }
+
+    // The mock port first, then every output the browser reports
+    getDevices() {
+        const devices = [{ id: this.mockPort.id, name: this.mockPort.name }];
+        this.access?.outputs.forEach(output => {
+            devices.push({ id: output.id, name: output.name });
+        });
+        return devices;
+    }
+
+    setDevice(id) {
+        const port = id === MOCK_PORT_ID ? this.mockPort : this.access?.outputs.get(id);
+        if (!port) {
+            console.warn('MIDI output not found:', id);
+            return;
+        }
+        this.allNotesOff();
+        this.port = port;
+    }
+
+    setEnabled(enabled) {
+        if (!enabled) this.allNotesOff();
+        this.enabled = enabled;
+    }
+
+    getChannel(neuron) {
+        return Math.max(1, Math.min(16, Math.round(neuron.sound.midiChannel))) - 1;
+    }
+
+    // The neuron's own note, or the nearest one to the pitch it plays
+    getNote(neuron) {
+        const { midiNote } = neuron.sound;
+        if (midiNote >= 0) return Math.min(127, Math.round(midiNote));
+        if (!window.soundManager) return 60;
+        return frequencyToMidi(window.soundManager.getNeuronNote(neuron.id, neuron.sound));
+    }
+
+    // From the weight of the latest spike delivered shortly before the neuron fired
+    getVelocity(neuron, time) {
+        const input = this.lastInputs.get(neuron.id);
+        if (!input || time - input.time > INPUT_WINDOW) return SPONTANEOUS_VELOCITY;
+        return Math.max(1, Math.min(127, Math.round(32 + Math.abs(input.weight) * 95)));
+    }
+
+    // Note length in ms from the envelope computed in Neuron.onFire
+    getLength(neuron) {
+        const { attack, sustain, release } = neuron.currentEnvelope;
+        return Math.max(100, (Number(attack) + Number(sustain) + Number(release)) * 1000);
+    }
+
+    // Called for each spike, after the neuron updated currentEnvelope
+    playSpike(neuron, time) {
+        if (!this.enabled) return;
+
+        const channel = this.getChannel(neuron);
+        const note = this.getNote(neuron);
+        const key = `${channel}:${note}`;
+
+        // A note still held is ended first, so its note-off doesn't cut the new one short
+        if (this.heldNotes.has(key)) {
+            clearTimeout(this.heldNotes.get(key));
+            this.send([NOTE_OFF | channel, note, 0]);
+        }
+
+        this.send([NOTE_ON | channel, note, this.getVelocity(neuron, time)]);
+        this.heldNotes.set(key, setTimeout(() => {
+            this.heldNotes.delete(key);
+            this.send([NOTE_OFF | channel, note, 0]);
+        }, this.getLength(neuron)));
+    }
+
+    send(data) {
+        try {
+            this.port.send(data);
+        } catch (error) {
+            console.warn('Error sending MIDI:', error);
+            return;
+        }
+
+        const [status, data1, data2] = data;
+        const type = { [NOTE_ON]: 'on', [NOTE_OFF]: 'off', [CONTROL_CHANGE]: 'cc' }[status & 0xf0];
+        this.lastMessage = `ch ${(status & 0x0f) + 1} ${type} ${data1} ${data2}`;
+    }
+
+    // End held notes, plus an all-notes-off on every channel in case any were missed
+    allNotesOff() {
+        if (!this.enabled) return;
+
+        this.heldNotes.forEach((timeout, key) => {
+            clearTimeout(timeout);
+            const [channel, note] = key.split(':').map(Number);
+            this.send([NOTE_OFF | channel, note, 0]);
+        });
+        this.heldNotes.clear();
+
+        for (let channel = 0; channel < 16; channel++) {
+            this.send([CONTROL_CHANGE | channel, ALL_NOTES_OFF, 0]);
+        }
+    }
+
+    // Forget a deleted neuron's last input
+    releaseNeuron(neuronId) {
+        this.lastInputs.delete(neuronId);
+    }
+
+    cleanup() {
+        this.allNotesOff();
+        this.unsubscribe();
+        this.listeners.clear();
+        if (this.access) {
+            this.access.onstatechange = null;
+        }
+    }
+}
@@ -0,0 +1,200 @@
+import { SCHEMA_VERSION, readDocument } from '../core/NetworkDocument.js';
+import { DEFAULT_VOICE } from './SoundManager';
+
+export const FILE_EXTENSION = '.snn.json';
+
+const STORAGE_KEY = 'snn.network';
+
+export class NetworkSerializer {
+    constructor(connectionManager, { createNeuron, clearNetwork }) {
+        this.connectionManager = connectionManager;
+        this.createNeuron = createNeuron;
+        this.clearNetwork = clearNetwork;
+    }
+
+    serialize() {
+        return {
+            ...this.serializeFragment(window.circles || []),
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    // The neuron's sound is only written when it differs from the default
+    serializeNeuron(circle) {
+        const sound = circle.neuron.sound;
+        const customSound = Object.keys(DEFAULT_VOICE).some(key => sound[key] !== DEFAULT_VOICE[key]);
+        return {
+            id: circle.neuron.id,
+            position: {
+                x: circle.position.x,
+                z: circle.position.z
+            },
+            ...circle.neuron.core.getParams(),
+            ...(customSound && { sound: { ...sound } })
+        };
+    }
+
+    // Short-term plasticity is only written when enabled
+    serializeConnection(connection) {
+        const { shortTerm, ...data } = this.connectionManager.getConnectionData(connection);
+        return {
+            ...data,
+            ...(shortTerm.enabled && { shortTerm })
+        };
+    }
+
+    deserialize(doc) {
+        const migrated = readDocument(doc);
+
+        this.clearNetwork();
+
+        const circles = migrated.neurons.map(data => this.createNeuronFromData(data));
+        migrated.connections.forEach(data => {
+            this.connectionManager.createConnectionFromData(data);
+        });
+
+        return circles;
+    }
+
+    createNeuronFromData({ id, position, dcInput, sound, ...params }) {
+        const circle = this.createNeuron(position, id);
+        const neuron = circle.neuron;
+
+        neuron.core.setParams(params);
+        neuron.setDCInput(dcInput ?? 0);
+        neuron.sound = { ...DEFAULT_VOICE, ...sound };
+
+        return circle;
+    }
+
+    // Neurons with the connections among them, as a document of their own. The whole
+    // network is saved this way, and a selection is copied and duplicated this way.
+    serializeFragment(circles) {
+        const included = new Set(circles);
+        const connections = [];
+        this.connectionManager.connections.forEach(connection => {
+            if (included.has(connection.source) && included.has(connection.target)) {
+                connections.push(this.serializeConnection(connection));
+            }
+        });
+
+        return {
+            format: 'snn',
+            version: SCHEMA_VERSION,
+            neurons: circles.map(circle => this.serializeNeuron(circle)),
+            connections
+        };
+    }
+
+    // Clipboard text for a selection, in the same format as a saved file
+    fragmentToJSON(circles) {
+        return JSON.stringify(this.serializeFragment(circles), null, 2);
+    }
+
+    // Throws unless the text is a network document, e.g. when pasting something else
+    fragmentFromJSON(text) {
+        return readDocument(JSON.parse(text));
+    }
+
+    // Add a fragment's neurons under new ids, shifted by offset, then its connections
+    insertFragment({ neurons, connections }, offset = { x: 0, z: 0 }) {
+        const ids = new Map();
+        const circles = neurons.map(({ id, position, ...data }) => {
+            const circle = this.createNeuronFromData({
+                ...data,
+                position: { x: position.x + offset.x, z: position.z + offset.z }
+            });
+            ids.set(id, circle.neuron.id);
+            return circle;
+        });
+
+        connections.forEach(({ from, to, ...data }) => {
+            if (!ids.has(from) || !ids.has(to)) return;
+            this.connectionManager.createConnectionFromData({ ...data, from: ids.get(from), to: ids.get(to) });
+        });
+
+        return circles;
+    }
+
+    // One neuron with every connection into or out of it, e.g. to undo its deletion
+    snapshotNeuron(circle) {
+        const connections = [];
+        this.connectionManager.connections.forEach(connection => {
+            if (connection.source === circle || connection.target === circle) {
+                connections.push(this.serializeConnection(connection));
+            }
+        });
+
+        return {
+            neuron: this.serializeNeuron(circle),
+            connections
+        };
+    }
+
+    restoreNeuron({ neuron, connections }) {
+        const circle = this.createNeuronFromData(neuron);
+        connections.forEach(data => {
+            this.connectionManager.createConnectionFromData(data);
+        });
+        return circle;
+    }
+
+    toJSON() {
+        return JSON.stringify(this.serialize(), null, 2);
+    }
+
+    fromJSON(text) {
+        return this.deserialize(JSON.parse(text));
+    }
+
+    saveToStorage() {
+        localStorage.setItem(STORAGE_KEY, this.toJSON());
+    }
+
+    loadFromStorage() {
+        const text = localStorage.getItem(STORAGE_KEY);
+        if (!text) {
+            console.warn('No saved network found');
+            return null;
+        }
+        return this.fromJSON(text);
+    }
+
+    exportFile(name = 'network') {
+        const blob = new Blob([this.toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}${FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+
+    importFile() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = `${FILE_EXTENSION},.json,application/json`;
+
+            input.addEventListener('change', async () => {
+                const file = input.files?.[0];
+                if (!file) {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    resolve(this.fromJSON(await file.text()));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+
+            input.click();
+        });
+    }
+}
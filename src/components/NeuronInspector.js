@@ -0,0 +1,223 @@
+import { NEURON_MODELS } from '../core/NeuronDynamics.js';
+import { NOTE_NAMES } from './Scales';
+import { INSTRUMENT_PRESETS } from './Instruments';
+
+// Slider ranges for model parameters shown in the inspector
+const PARAM_CONTROLS = {
+    threshold: { name: 'Threshold', min: 0.1, max: 5, step: 0.05 },
+    membraneTimeConstant: { name: 'Tau (ms)', min: 1, max: 200, step: 1 },
+    restingPotential: { name: 'Rest (mV)', min: -90, max: -40, step: 0.5 },
+    resetPotential: { name: 'Reset (mV)', min: -90, max: -40, step: 0.5 },
+    thresholdPotential: { name: 'Threshold (mV)', min: -70, max: -20, step: 0.5 },
+    recoveryRate: { name: 'a (recovery rate)', min: 0.001, max: 0.2, step: 0.001 },
+    recoverySensitivity: { name: 'b (sensitivity)', min: 0, max: 0.5, step: 0.005 },
+    resetVoltage: { name: 'c (reset mV)', min: -80, max: -40, step: 0.5 },
+    resetRecovery: { name: 'd (reset jump)', min: 0, max: 10, step: 0.1 },
+    rate: { name: 'Rate (Hz)', min: 0, max: 100, step: 0.5 },
+    seed: { name: 'Random Seed', min: 1, max: 9999, step: 1 },
+    bpm: { name: 'BPM', min: 10, max: 600, step: 1 },
+    phase: { name: 'Phase (ms)', min: 0, max: 2000, step: 1 },
+    spikeTimes: { name: 'Spike Times (ms)' },
+    loopLength: { name: 'Loop (ms, 0 = once)', min: 0, max: 10000, step: 10 },
+    sequence: { name: 'Sequence (x = spike)' },
+    stepLength: { name: 'Step (ms)', min: 10, max: 1000, step: 1 }
+};
+
+export class NeuronInspector {
+    constructor(gui, { oscilloscope = null } = {}) {
+        this.folder = gui.addFolder('Selected Neuron');
+        this.oscilloscope = oscilloscope;
+        this.circle = null;
+        this.controllers = [];
+
+        this.rebuild();
+    }
+
+    setNeuron(circle) {
+        if (circle === this.circle) return;
+        this.circle = circle;
+        this.rebuild();
+    }
+
+    rebuild() {
+        this.controllers.forEach(controller => controller.destroy());
+        this.controllers = [];
+
+        const neuron = this.circle?.neuron;
+        if (!neuron) {
+            this.folder.hide();
+            return;
+        }
+        this.folder.show();
+
+        const core = neuron.core;
+        const models = {};
+        Object.entries(NEURON_MODELS).forEach(([key, dynamics]) => {
+            models[dynamics.label] = key;
+        });
+
+        this.controllers.push(
+            this.folder.add(core, 'model', models)
+                .name('Model')
+                .onChange(model => {
+                    core.setModel(model);
+                    this.rebuild();
+                })
+        );
+
+        // Sources fire on their own schedule, so DC input and refractoriness don't apply
+        if (!core.dynamics.source) {
+            this.controllers.push(
+                this.folder.add({
+                    get dcInput() {
+                        return core.dcInput;
+                    },
+                    set dcInput(value) {
+                        neuron.changeDCInput(value);
+                    }
+                }, 'dcInput', 0, 1, 0.01)
+                    .name('DC Input')
+                    .listen(),
+
+                this.folder.add(core, 'refractionPeriod', 0, 500, 1)
+                    .name('Refractory (ms)')
+            );
+        }
+
+        this.controllers.push(
+            this.folder.add({ remove: () => window.settings.deleteNeuron(this.circle) }, 'remove')
+                .name('Delete Neuron')
+        );
+
+        if (this.oscilloscope) {
+            const oscilloscope = this.oscilloscope;
+            const pin = {
+                get pinned() {
+                    return oscilloscope.isPinned(core);
+                },
+                set pinned(pinned) {
+                    if (pinned) {
+                        oscilloscope.pin(core);
+                    } else {
+                        oscilloscope.unpin(core);
+                    }
+                }
+            };
+
+            this.controllers.push(
+                this.folder.add(pin, 'pinned')
+                    .name('Oscilloscope')
+                    .listen()
+            );
+        }
+
+        const presets = core.dynamics.presets;
+        if (presets) {
+            const options = {};
+            Object.entries(presets).forEach(([key, preset]) => {
+                options[preset.label] = key;
+            });
+
+            this.controllers.push(
+                this.folder.add(core, 'preset', options)
+                    .name('Preset')
+                    .onChange(preset => {
+                        core.applyPreset(preset);
+                        this.controllers.forEach(controller => controller.updateDisplay());
+                    })
+            );
+        }
+
+        Object.keys(core.dynamics.params).forEach(key => {
+            const control = PARAM_CONTROLS[key];
+            if (!control) return;
+
+            this.controllers.push(
+                this.folder.add(core, key, control.min, control.max, control.step)
+                    .name(control.name)
+            );
+        });
+
+        if (core.model === 'sequencer') {
+            this.controllers.push(this.createSequencerGrid(core));
+        }
+
+        this.controllers.push(this.createSoundFolder(neuron));
+    }
+
+    // Pitch, instrument and velocity of the neuron's spikes. Only the controls for the
+    // chosen pitch mode are shown.
+    createSoundFolder(neuron) {
+        const folder = this.folder.addFolder('Sound');
+        const sound = neuron.sound;
+
+        const instruments = {};
+        Object.entries(INSTRUMENT_PRESETS).forEach(([key, preset]) => {
+            instruments[preset.label] = key;
+        });
+
+        folder.add(sound, 'pitch', { 'Automatic': 'auto', 'Scale Degree': 'degree', 'Note': 'note' })
+            .name('Pitch')
+            .onChange(() => this.rebuild());
+
+        if (sound.pitch === 'degree') {
+            folder.add(sound, 'degree', 0, 11, 1).name('Degree');
+        } else if (sound.pitch === 'note') {
+            folder.add(sound, 'note', NOTE_NAMES).name('Note');
+        }
+        if (sound.pitch !== 'auto') {
+            folder.add(sound, 'octave', 0, 8, 1).name('Octave');
+        }
+
+        folder.add(sound, 'instrument', instruments).name('Instrument');
+        folder.add(sound, 'velocity', 0, 2, 0.05).name('Velocity');
+        folder.add(sound, 'retriggerGuard', 0, 1000, 10).name('Retrigger Guard (ms)');
+        folder.add(sound, 'midiChannel', 1, 16, 1).name('MIDI Channel');
+        folder.add(sound, 'midiNote', -1, 127, 1).name('MIDI Note (-1 = pitch)');
+        folder.add({
+            preview: () => window.soundManager?.playNeuronFiring(0.5, 0.5, neuron.id, true, false, 0, sound)
+        }, 'preview').name('Preview');
+
+        return folder;
+    }
+
+    // Clickable steps for the sequencer, kept in sync with its sequence text
+    createSequencerGrid(core) {
+        const grid = document.createElement('div');
+        grid.style.display = 'flex';
+        grid.style.flexWrap = 'wrap';
+        grid.style.gap = '2px';
+        grid.style.padding = '4px 8px';
+
+        const sequenceController = this.controllers.find(controller => controller.property === 'sequence');
+
+        const render = () => {
+            grid.replaceChildren();
+            Array.from(core.sequence).forEach((step, index) => {
+                const button = document.createElement('button');
+                const on = step.toLowerCase() === 'x';
+                button.style.width = '16px';
+                button.style.height = '16px';
+                button.style.padding = '0';
+                button.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+                button.style.borderRadius = '2px';
+                button.style.backgroundColor = on ? '#00ff88' : (index % 4 === 0 ? '#444' : '#222');
+                button.style.cursor = 'pointer';
+                button.addEventListener('click', () => {
+                    const steps = Array.from(core.sequence);
+                    steps[index] = on ? '.' : 'x';
+                    core.sequence = steps.join('');
+                    sequenceController?.updateDisplay();
+                    render();
+                });
+                grid.appendChild(button);
+            });
+        };
+
+        sequenceController?.onChange(render);
+        render();
+        this.folder.$children.appendChild(grid);
+
+        return { destroy: () => grid.remove() };
+    }
+}
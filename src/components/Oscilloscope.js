@@ -0,0 +1,298 @@
+// Docked oscilloscope plotting the charge / membrane potential of pinned neurons against
+// simulated time. Samples every simulation step, so traces don't depend on the frame rate.
+const PANEL_WIDTH = 420;
+const PANEL_HEIGHT = 160;
+const AXIS_WIDTH = 44;
+
+// Longest selectable window; each trace keeps this much history
+const MAX_WINDOW_MS = 10000;
+
+// Redraw at most this often, in real milliseconds
+const DRAW_INTERVAL = 1000 / 30;
+
+const TRACE_COLORS = ['#00ff88', '#ff66cc', '#4da6ff', '#ffaa00', '#aa88ff', '#ffffff'];
+
+export class Oscilloscope {
+    constructor(network, { windowMs = 2000 } = {}) {
+        this.network = network;
+        this.windowMs = windowMs;
+        this.traces = new Map(); // neuron model -> trace
+        this.lastDrawTime = 0;
+        this.colorIndex = 0;
+
+        this.createPanel();
+
+        network.on('step', time => this.sample(time));
+        network.on('spike', (neuron, time) => {
+            const trace = this.traces.get(neuron);
+            if (trace) {
+                trace.spikes.push(time);
+            }
+        });
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.right = '10px';
+        this.container.style.bottom = '10px';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.container.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+        this.container.style.borderRadius = '6px';
+        this.container.style.padding = '6px';
+        this.container.style.zIndex = '900';
+        this.container.style.fontFamily = 'monospace';
+        this.container.style.fontSize = '11px';
+        this.container.style.color = 'white';
+        this.container.style.display = 'none';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        header.style.marginBottom = '4px';
+
+        const title = document.createElement('span');
+        title.textContent = 'Oscilloscope';
+        header.appendChild(title);
+
+        // Time window
+        const windowControl = document.createElement('label');
+        this.windowLabel = document.createElement('span');
+        const windowSlider = document.createElement('input');
+        windowSlider.type = 'range';
+        windowSlider.min = '100';
+        windowSlider.max = String(MAX_WINDOW_MS);
+        windowSlider.step = '100';
+        windowSlider.value = String(this.windowMs);
+        windowSlider.style.width = '120px';
+        windowSlider.style.verticalAlign = 'middle';
+        windowSlider.addEventListener('input', (e) => this.setWindow(parseFloat(e.target.value)));
+        windowControl.appendChild(this.windowLabel);
+        windowControl.appendChild(windowSlider);
+        header.appendChild(windowControl);
+        this.container.appendChild(header);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = PANEL_WIDTH;
+        this.canvas.height = PANEL_HEIGHT;
+        this.canvas.style.display = 'block';
+        this.container.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+
+        this.legend = document.createElement('div');
+        this.legend.style.display = 'flex';
+        this.legend.style.flexWrap = 'wrap';
+        this.legend.style.gap = '6px';
+        this.legend.style.marginTop = '4px';
+        this.container.appendChild(this.legend);
+
+        this.setWindow(this.windowMs);
+        document.body.appendChild(this.container);
+    }
+
+    setWindow(windowMs) {
+        this.windowMs = Math.min(Math.max(windowMs, 100), MAX_WINDOW_MS);
+        this.windowLabel.textContent = `${(this.windowMs / 1000).toFixed(1)}s `;
+        this.draw();
+    }
+
+    isPinned(neuron) {
+        return this.traces.has(neuron);
+    }
+
+    pin(neuron, color = TRACE_COLORS[this.colorIndex++ % TRACE_COLORS.length]) {
+        if (this.traces.has(neuron)) return;
+
+        const capacity = Math.ceil(MAX_WINDOW_MS / this.network.clock.dt);
+        this.traces.set(neuron, {
+            color,
+            values: new Float32Array(capacity),
+            thresholds: new Float32Array(capacity),
+            head: 0,      // next write position
+            count: 0,
+            lastTime: 0,  // time of the newest sample
+            spikes: []
+        });
+
+        this.updateLegend();
+    }
+
+    unpin(neuron) {
+        if (!this.traces.delete(neuron)) return;
+        this.updateLegend();
+    }
+
+    // Unpin everything, e.g. when the network is cleared
+    clear() {
+        this.traces.clear();
+        this.colorIndex = 0;
+        this.updateLegend();
+    }
+
+    setColor(neuron, color) {
+        const trace = this.traces.get(neuron);
+        if (trace) {
+            trace.color = color;
+            this.draw();
+        }
+    }
+
+    sample(time) {
+        this.traces.forEach((trace, neuron) => {
+            trace.values[trace.head] = neuron.getPotential();
+            trace.thresholds[trace.head] = neuron.getThresholdValue();
+            trace.head = (trace.head + 1) % trace.values.length;
+            trace.count = Math.min(trace.count + 1, trace.values.length);
+            trace.lastTime = time;
+
+            // Drop spike markers older than the longest window
+            while (trace.spikes.length > 0 && trace.spikes[0] < time - MAX_WINDOW_MS) {
+                trace.spikes.shift();
+            }
+        });
+    }
+
+    updateLegend() {
+        this.legend.innerHTML = '';
+        this.container.style.display = this.traces.size > 0 ? 'block' : 'none';
+
+        this.traces.forEach((trace, neuron) => {
+            const item = document.createElement('span');
+            item.style.display = 'inline-flex';
+            item.style.alignItems = 'center';
+            item.style.gap = '3px';
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = trace.color;
+            color.style.width = '18px';
+            color.style.height = '18px';
+            color.style.padding = '0';
+            color.style.border = 'none';
+            color.style.background = 'none';
+            color.addEventListener('input', (e) => this.setColor(neuron, e.target.value));
+            item.appendChild(color);
+
+            const label = document.createElement('span');
+            label.textContent = `#${neuron.id}`;
+            item.appendChild(label);
+
+            const remove = document.createElement('span');
+            remove.textContent = '×';
+            remove.style.cursor = 'pointer';
+            remove.style.opacity = '0.7';
+            remove.addEventListener('click', () => this.unpin(neuron));
+            item.appendChild(remove);
+
+            this.legend.appendChild(item);
+        });
+
+        this.draw();
+    }
+
+    // Calls back with the time, value and threshold of each visible sample, oldest first
+    forEachSample(trace, startTime, callback) {
+        const dt = this.network.clock.dt;
+        const capacity = trace.values.length;
+        const visible = Math.min(trace.count, Math.ceil((trace.lastTime - startTime) / dt) + 1);
+
+        for (let i = visible - 1; i >= 0; i--) {
+            const index = (trace.head - 1 - i + capacity) % capacity;
+            callback(trace.lastTime - i * dt, trace.values[index], trace.thresholds[index]);
+        }
+    }
+
+    // Called every frame; redraws at a capped rate while anything is pinned
+    update(currentTime) {
+        if (this.traces.size === 0) return;
+        if (currentTime - this.lastDrawTime < DRAW_INTERVAL) return;
+        this.lastDrawTime = currentTime;
+        this.draw();
+    }
+
+    draw() {
+        const ctx = this.context;
+        const plotWidth = PANEL_WIDTH - AXIS_WIDTH;
+        const endTime = this.network.time;
+        const startTime = endTime - this.windowMs;
+
+        ctx.clearRect(0, 0, PANEL_WIDTH, PANEL_HEIGHT);
+        if (this.traces.size === 0) return;
+
+        // Shared vertical range covering every visible value and threshold
+        let min = Infinity;
+        let max = -Infinity;
+        this.traces.forEach(trace => {
+            this.forEachSample(trace, startTime, (time, value, threshold) => {
+                min = Math.min(min, value, threshold);
+                max = Math.max(max, value, threshold);
+            });
+        });
+        if (!isFinite(min)) return;
+        const padding = Math.max((max - min) * 0.1, 0.01);
+        min -= padding;
+        max += padding;
+
+        const toX = time => AXIS_WIDTH + (time - startTime) / this.windowMs * plotWidth;
+        const toY = value => PANEL_HEIGHT - (value - min) / (max - min) * PANEL_HEIGHT;
+
+        // Axis labels
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+        ctx.fillText(max.toFixed(1), 2, 2);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(min.toFixed(1), 2, PANEL_HEIGHT - 2);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(AXIS_WIDTH - 0.5, 0);
+        ctx.lineTo(AXIS_WIDTH - 0.5, PANEL_HEIGHT);
+        ctx.stroke();
+
+        this.traces.forEach(trace => {
+            // Threshold line, dashed in the trace color
+            ctx.strokeStyle = trace.color;
+            ctx.globalAlpha = 0.5;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            let first = true;
+            this.forEachSample(trace, startTime, (time, value, threshold) => {
+                const x = toX(time);
+                const y = toY(threshold);
+                if (first) {
+                    ctx.moveTo(x, y);
+                    first = false;
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+
+            // Potential
+            ctx.beginPath();
+            first = true;
+            this.forEachSample(trace, startTime, (time, value) => {
+                const x = toX(time);
+                const y = toY(value);
+                if (first) {
+                    ctx.moveTo(x, y);
+                    first = false;
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+
+            // Spike markers along the top edge
+            ctx.fillStyle = trace.color;
+            trace.spikes.forEach(time => {
+                if (time < startTime) return;
+                ctx.fillRect(toX(time) - 1, 0, 2, 6);
+            });
+        });
+    }
+}
@@ -0,0 +1,246 @@
+// Docked spike raster with a firing-rate histogram. Records every spike from the network
+// with its neuron and simulated time; rows follow network.neurons order.
+const PANEL_WIDTH = 420;
+const PANEL_HEIGHT = 180;
+const LABEL_WIDTH = 28;
+const RATE_WIDTH = 80;
+const MAX_ROW_HEIGHT = 14;
+
+// Oldest spikes are dropped past this many
+const MAX_SPIKES = 20000;
+
+// Redraw at most this often, in real milliseconds
+const DRAW_INTERVAL = 1000 / 30;
+
+export class RasterPlot {
+    constructor(network, {
+        windowMs = 5000,       // simulated time visible across the raster
+        rateWindowMs = 1000,   // sliding window for firing rates
+        onSelect = null        // (neuron | null) => void, when a row is clicked
+    } = {}) {
+        this.network = network;
+        this.windowMs = windowMs;
+        this.rateWindowMs = rateWindowMs;
+        this.onSelect = onSelect;
+
+        this.spikes = []; // { neuron, time }, in time order
+        this.paused = false;
+        this.pausedTime = 0;
+        this.highlighted = null;
+        this.lastDrawTime = 0;
+
+        this.createPanel();
+
+        this.unsubscribe = network.on('spike', (neuron, time) => this.record(neuron, time));
+    }
+
+    createPanel() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.left = '10px';
+        this.container.style.bottom = '10px';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.container.style.border = '1px solid rgba(255, 255, 255, 0.2)';
+        this.container.style.borderRadius = '6px';
+        this.container.style.padding = '6px';
+        this.container.style.zIndex = '900';
+        this.container.style.fontFamily = 'monospace';
+        this.container.style.fontSize = '11px';
+        this.container.style.color = 'white';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        header.style.marginBottom = '4px';
+
+        const title = document.createElement('span');
+        title.textContent = 'Spike Raster';
+        header.appendChild(title);
+
+        const buttons = document.createElement('div');
+        this.pauseButton = this.createButton('Pause', () => this.togglePause());
+        this.collapseButton = this.createButton('Hide', () => this.toggleCollapsed());
+        buttons.appendChild(this.pauseButton);
+        buttons.appendChild(this.collapseButton);
+        header.appendChild(buttons);
+        this.container.appendChild(header);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = PANEL_WIDTH;
+        this.canvas.height = PANEL_HEIGHT;
+        this.canvas.style.display = 'block';
+        this.canvas.style.cursor = 'pointer';
+        this.canvas.addEventListener('click', (e) => this.onClick(e));
+        this.container.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+
+        document.body.appendChild(this.container);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.marginLeft = '4px';
+        button.style.padding = '2px 6px';
+        button.style.fontFamily = 'inherit';
+        button.style.fontSize = '11px';
+        button.style.color = 'white';
+        button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        button.style.border = '1px solid rgba(255, 255, 255, 0.3)';
+        button.style.borderRadius = '4px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    record(neuron, time) {
+        this.spikes.push({ neuron, time });
+        if (this.spikes.length > MAX_SPIKES) {
+            this.spikes.splice(0, this.spikes.length - MAX_SPIKES);
+        }
+    }
+
+    // Forget all spikes, e.g. when the network is cleared and its clock restarts
+    clear() {
+        this.spikes.length = 0;
+        this.pausedTime = 0;
+        this.setHighlighted(null);
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        this.pausedTime = this.network.clock.renderTime;
+        this.pauseButton.textContent = this.paused ? 'Resume' : 'Pause';
+        this.draw();
+    }
+
+    toggleCollapsed() {
+        const collapsed = this.canvas.style.display !== 'none';
+        this.canvas.style.display = collapsed ? 'none' : 'block';
+        this.pauseButton.style.display = collapsed ? 'none' : '';
+        this.collapseButton.textContent = collapsed ? 'Show' : 'Hide';
+    }
+
+    get viewTime() {
+        return this.paused ? this.pausedTime : this.network.clock.renderTime;
+    }
+
+    // Spikes per second for each neuron over the sliding window ending at time
+    getFiringRates(time) {
+        const counts = new Map();
+        const windowStart = time - this.rateWindowMs;
+
+        for (let i = this.spikes.length - 1; i >= 0; i--) {
+            const spike = this.spikes[i];
+            if (spike.time > time) continue;
+            if (spike.time <= windowStart) break;
+            counts.set(spike.neuron, (counts.get(spike.neuron) || 0) + 1);
+        }
+
+        const seconds = this.rateWindowMs / 1000;
+        return this.network.neurons.map(neuron => (counts.get(neuron) || 0) / seconds);
+    }
+
+    getRowHeight() {
+        const rows = Math.max(this.network.neurons.length, 1);
+        return Math.min(MAX_ROW_HEIGHT, PANEL_HEIGHT / rows);
+    }
+
+    onClick(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+        const row = Math.floor(y / this.getRowHeight());
+        const neuron = this.network.neurons[row] || null;
+
+        // Clicking the highlighted row again clears the highlight
+        this.setHighlighted(neuron === this.highlighted ? null : neuron);
+        this.onSelect?.(this.highlighted);
+        this.draw();
+    }
+
+    setHighlighted(neuron) {
+        this.highlighted?.userData.neuron?.setHighlighted(false);
+        this.highlighted = neuron;
+        this.highlighted?.userData.neuron?.setHighlighted(true);
+    }
+
+    // Called every frame; redraws at a capped rate unless paused
+    update(currentTime) {
+        if (this.paused || this.canvas.style.display === 'none') return;
+        if (currentTime - this.lastDrawTime < DRAW_INTERVAL) return;
+        this.lastDrawTime = currentTime;
+        this.draw();
+    }
+
+    draw() {
+        const ctx = this.context;
+        const neurons = this.network.neurons;
+        const rowHeight = this.getRowHeight();
+        const rasterWidth = PANEL_WIDTH - LABEL_WIDTH - RATE_WIDTH;
+        const endTime = this.viewTime;
+        const startTime = endTime - this.windowMs;
+
+        ctx.clearRect(0, 0, PANEL_WIDTH, PANEL_HEIGHT);
+
+        const rows = new Map(neurons.map((neuron, index) => [neuron, index]));
+
+        // Highlighted row and labels
+        ctx.textBaseline = 'middle';
+        ctx.font = `${Math.min(10, rowHeight)}px monospace`;
+        neurons.forEach((neuron, index) => {
+            const y = index * rowHeight;
+            if (neuron === this.highlighted) {
+                ctx.fillStyle = 'rgba(255, 255, 0, 0.15)';
+                ctx.fillRect(0, y, PANEL_WIDTH, rowHeight);
+            }
+            if (rowHeight >= 6) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.fillText(String(neuron.id), 2, y + rowHeight / 2);
+            }
+        });
+
+        // Spike ticks
+        ctx.fillStyle = '#ffff00';
+        for (let i = this.spikes.length - 1; i >= 0; i--) {
+            const spike = this.spikes[i];
+            if (spike.time > endTime) continue;
+            if (spike.time < startTime) break;
+
+            const row = rows.get(spike.neuron);
+            if (row === undefined) continue;
+
+            const x = LABEL_WIDTH + (spike.time - startTime) / this.windowMs * rasterWidth;
+            ctx.fillRect(x, row * rowHeight + 1, 1.5, Math.max(rowHeight - 2, 1));
+        }
+
+        // Firing-rate histogram
+        const rates = this.getFiringRates(endTime);
+        const maxRate = Math.max(10, ...rates);
+        const rateX = PANEL_WIDTH - RATE_WIDTH;
+        rates.forEach((rate, index) => {
+            const y = index * rowHeight;
+            ctx.fillStyle = 'rgba(77, 166, 255, 0.8)';
+            ctx.fillRect(rateX + 2, y + 1, (RATE_WIDTH - 34) * rate / maxRate, Math.max(rowHeight - 2, 1));
+            if (rowHeight >= 6) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.fillText(`${rate.toFixed(1)}`, PANEL_WIDTH - 30, y + rowHeight / 2);
+            }
+        });
+
+        // Axes
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(LABEL_WIDTH - 0.5, 0);
+        ctx.lineTo(LABEL_WIDTH - 0.5, PANEL_HEIGHT);
+        ctx.moveTo(rateX - 0.5, 0);
+        ctx.lineTo(rateX - 0.5, PANEL_HEIGHT);
+        ctx.stroke();
+    }
+
+    dispose() {
+        this.unsubscribe();
+        this.setHighlighted(null);
+        this.container.remove();
+    }
+}
@@ -0,0 +1,105 @@
+// Scales, keys and tunings for SoundManager. Scale steps are semitones above the root;
+// tunings shift each of the twelve semitones by a number of cents.
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export const SCALES = {
+    minorPentatonic: { label: 'Minor pentatonic', steps: [0, 3, 5, 7, 10] },
+    majorPentatonic: { label: 'Major pentatonic', steps: [0, 2, 4, 7, 9] },
+    major: { label: 'Major (Ionian)', steps: [0, 2, 4, 5, 7, 9, 11] },
+    minor: { label: 'Natural minor (Aeolian)', steps: [0, 2, 3, 5, 7, 8, 10] },
+    harmonicMinor: { label: 'Harmonic minor', steps: [0, 2, 3, 5, 7, 8, 11] },
+    dorian: { label: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian: { label: 'Phrygian', steps: [0, 1, 3, 5, 7, 8, 10] },
+    lydian: { label: 'Lydian', steps: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian: { label: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+    locrian: { label: 'Locrian', steps: [0, 1, 3, 5, 6, 8, 10] },
+    wholeTone: { label: 'Whole-tone', steps: [0, 2, 4, 6, 8, 10] },
+    blues: { label: 'Blues', steps: [0, 3, 5, 6, 7, 10] },
+    chromatic: { label: 'Chromatic', steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+    custom: { label: 'Custom', steps: null } // from the customScale text
+};
+
+// Deviation from equal temperament in cents for each semitone above the root
+export const TUNINGS = {
+    equal: { label: '12-tone equal', cents: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    just: {
+        label: 'Just intonation (5-limit)',
+        cents: [0, 11.73, 3.91, 15.64, -13.69, -1.96, -9.78, 1.96, 13.69, -15.64, 17.6, -11.73]
+    },
+    pythagorean: {
+        label: 'Pythagorean',
+        cents: [0, -9.78, 3.91, -5.87, 7.82, -1.96, 11.73, 1.96, -7.82, 5.87, -3.91, 9.78]
+    },
+    custom: { label: 'Custom cents', cents: null } // from the customCents text
+};
+
+export const DEFAULT_TUNING = {
+    root: 'A',
+    scale: 'minorPentatonic',
+    customScale: '0 2 3.5 7 9',          // semitones, fractions allowed for microtones
+    tuning: 'equal',
+    customCents: '0 0 0 0 0 0 0 0 0 0 0 0', // one deviation per semitone above the root
+    lowestOctave: 3,
+    octaves: 3
+};
+
+// Numbers from text like "0 2 3.5, 7"
+export function parseNumbers(text) {
+    return String(text)
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(Number.isFinite);
+}
+
+export function getScaleSteps({ scale, customScale }) {
+    const steps = SCALES[scale]?.steps ?? parseNumbers(customScale).filter(step => step >= 0 && step < 12);
+    return steps.length > 0 ? [...new Set(steps)].sort((a, b) => a - b) : [0];
+}
+
+function getTuningCents({ tuning, customCents }) {
+    const cents = TUNINGS[tuning]?.cents ?? parseNumbers(customCents);
+    return Array.from({ length: 12 }, (_, index) => cents[index] ?? 0);
+}
+
+// Frequency of a step in semitones above a root MIDI note. Tunings only apply to whole
+// semitones; fractional steps are already microtonal.
+function stepFrequency(rootMidi, step, cents) {
+    const deviation = Number.isInteger(step) ? cents[((step % 12) + 12) % 12] : 0;
+    return 440 * Math.pow(2, (rootMidi + step - 69) / 12 + deviation / 1200);
+}
+
+// Frequencies in Hz, one array of scale degrees per octave from lowestOctave upwards
+export function buildScale(options = {}) {
+    const settings = { ...DEFAULT_TUNING, ...options };
+    const steps = getScaleSteps(settings);
+    const cents = getTuningCents(settings);
+    const rootIndex = Math.max(0, NOTE_NAMES.indexOf(settings.root));
+
+    return Array.from({ length: Math.max(1, settings.octaves) }, (_, octave) => {
+        const rootMidi = 12 * (settings.lowestOctave + octave + 1) + rootIndex;
+        return steps.map(step => stepFrequency(rootMidi, step, cents));
+    });
+}
+
+// Frequency of an explicit pitch in the current key and tuning: either a scale degree
+// counted from the root in the given octave (degrees past the scale continue upwards),
+// or a named note such as 'C#' in that octave
+export function getNoteFrequency(options, { pitch, degree = 0, note = 'A', octave = 4 }) {
+    const settings = { ...DEFAULT_TUNING, ...options };
+    const cents = getTuningCents(settings);
+    const rootIndex = Math.max(0, NOTE_NAMES.indexOf(settings.root));
+
+    if (pitch === 'degree') {
+        const steps = getScaleSteps(settings);
+        const index = Math.max(0, Math.round(degree));
+        const step = steps[index % steps.length] + 12 * Math.floor(index / steps.length);
+        return stepFrequency(12 * (octave + 1) + rootIndex, step, cents);
+    }
+
+    // Named notes are tuned by their distance above the root
+    const noteIndex = Math.max(0, NOTE_NAMES.indexOf(note));
+    const step = (noteIndex - rootIndex + 12) % 12;
+    return stepFrequency(12 * (octave + 1) + noteIndex - step, step, cents);
+}
@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+
+export const SELECTION_COLOR = 0x00ffff;
+
+// Neurons and connections selected together for group operations. Neurons are their
+// meshes (the entries of window.circles), connections are ConnectionManager's objects.
+export class SelectionManager {
+    static tempVector = new THREE.Vector3();
+
+    constructor(camera, renderer, connectionManager) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.connectionManager = connectionManager;
+
+        this.neurons = new Set();
+        this.connections = new Set();
+        this.listeners = new Set();
+
+        this.box = null;
+        this.boxStart = null;
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    get size() {
+        return this.neurons.size + this.connections.size;
+    }
+
+    hasNeuron(circle) {
+        return this.neurons.has(circle);
+    }
+
+    hasConnection(connection) {
+        return this.connections.has(connection);
+    }
+
+    addNeuron(circle) {
+        if (!circle?.neuron || this.neurons.has(circle)) return;
+        this.neurons.add(circle);
+        circle.neuron.setSelected(true);
+        this.notify();
+    }
+
+    removeNeuron(circle) {
+        if (!this.neurons.delete(circle)) return;
+        circle.neuron?.setSelected(false);
+        this.notify();
+    }
+
+    toggleNeuron(circle) {
+        if (this.neurons.has(circle)) {
+            this.removeNeuron(circle);
+        } else {
+            this.addNeuron(circle);
+        }
+    }
+
+    toggleConnection(connection) {
+        if (!this.connections.delete(connection)) {
+            this.connections.add(connection);
+        }
+        this.connectionManager.needsUpdate = true;
+        this.notify();
+    }
+
+    set(circles = [], connections = []) {
+        this.neurons.forEach(circle => circle.neuron?.setSelected(false));
+        this.neurons = new Set(circles.filter(circle => circle?.neuron));
+        this.neurons.forEach(circle => circle.neuron.setSelected(true));
+        this.connections = new Set(connections);
+        this.connectionManager.needsUpdate = true;
+        this.notify();
+    }
+
+    clear() {
+        if (this.size === 0) return;
+        this.set();
+    }
+
+    selectAll() {
+        this.set(window.circles, Array.from(this.connectionManager.connections.values()));
+    }
+
+    // Forget neurons and connections that no longer exist, e.g. after a deletion or undo
+    prune() {
+        const connections = new Set(this.connectionManager.connections.values());
+        const before = this.size;
+
+        this.neurons.forEach(circle => {
+            if (!circle.parent) this.neurons.delete(circle);
+        });
+        this.connections.forEach(connection => {
+            if (!connections.has(connection)) this.connections.delete(connection);
+        });
+
+        if (this.size !== before) {
+            this.notify();
+        }
+    }
+
+    // Position of an object in client (CSS pixel) coordinates
+    toClient(position) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const projected = SelectionManager.tempVector.copy(position).project(this.camera);
+        return {
+            x: rect.left + (projected.x + 1) * rect.width / 2,
+            y: rect.top + (-projected.y + 1) * rect.height / 2
+        };
+    }
+
+    // Select the neurons and connection arrows inside a client-space rectangle
+    selectInRect({ left, top, right, bottom }, additive = false) {
+        const inside = object => {
+            const { x, y } = this.toClient(object.position);
+            return x >= left && x <= right && y >= top && y <= bottom;
+        };
+
+        const circles = (window.circles || []).filter(inside);
+        const connections = Array.from(this.connectionManager.connections.values())
+            .filter(connection => connection.arrow && inside(connection.arrow));
+
+        if (additive) {
+            this.set([...this.neurons, ...circles], [...this.connections, ...connections]);
+        } else {
+            this.set(circles, connections);
+        }
+    }
+
+    // Rubber-band box, in client coordinates
+    startBox(x, y) {
+        this.boxStart = { x, y };
+
+        if (!this.box) {
+            this.box = document.createElement('div');
+            this.box.style.position = 'fixed';
+            this.box.style.border = '1px dashed #00ffff';
+            this.box.style.backgroundColor = 'rgba(0, 255, 255, 0.08)';
+            this.box.style.pointerEvents = 'none';
+            this.box.style.zIndex = '950';
+            document.body.appendChild(this.box);
+        }
+        this.updateBox(x, y);
+        this.box.style.display = 'block';
+    }
+
+    get isBoxSelecting() {
+        return this.boxStart !== null;
+    }
+
+    getBoxRect(x, y) {
+        return {
+            left: Math.min(this.boxStart.x, x),
+            top: Math.min(this.boxStart.y, y),
+            right: Math.max(this.boxStart.x, x),
+            bottom: Math.max(this.boxStart.y, y)
+        };
+    }
+
+    updateBox(x, y) {
+        if (!this.boxStart) return;
+
+        const rect = this.getBoxRect(x, y);
+        this.box.style.left = `${rect.left}px`;
+        this.box.style.top = `${rect.top}px`;
+        this.box.style.width = `${rect.right - rect.left}px`;
+        this.box.style.height = `${rect.bottom - rect.top}px`;
+    }
+
+    endBox(x, y, additive = false) {
+        if (!this.boxStart) return;
+
+        this.selectInRect(this.getBoxRect(x, y), additive);
+        this.boxStart = null;
+        this.box.style.display = 'none';
+    }
+}
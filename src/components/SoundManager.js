@@ -1,4 +1,33 @@
 import * as Tone from 'tone';
+import { DEFAULT_TUNING, buildScale, getNoteFrequency } from './Scales';
+import { INSTRUMENT_PRESETS, InstrumentPool, VOICE_STEALING } from './Instruments';
+
+// Per-neuron sound, saved with the neuron. pitch is 'auto' (assigned from the scale),
+// 'degree' (scale degree in octave) or 'note' (named note in octave); velocity scales
+// how loud its spikes play. Spikes within retriggerGuard ms of the neuron's last note
+// stay silent (0 plays every spike). midiChannel and midiNote are for MIDI output, where
+// a midiNote of -1 follows the pitch.
+export const DEFAULT_VOICE = {
+    pitch: 'auto',
+    degree: 0,
+    note: 'A',
+    octave: 4,
+    instrument: 'marimba',
+    velocity: 1,
+    retriggerGuard: 0,
+    midiChannel: 1,
+    midiNote: -1
+};
+
+// Grids note onsets can snap to, in Tone notation; 't' marks triplets
+export const QUANTIZE_GRIDS = {
+    '4n': { label: '1/4' },
+    '8n': { label: '1/8' },
+    '16n': { label: '1/16' },
+    '4t': { label: '1/4 triplet' },
+    '8t': { label: '1/8 triplet' },
+    '16t': { label: '1/16 triplet' }
+};
 
 export class SoundManager {
     constructor() {
@@ -22,40 +51,22 @@ export class SoundManager {
             wet: 0.15         // Subtle chorus
         }).connect(this.limiter);
 
-        // Initialize synth with marimba-like settings
-        this.synth = new Tone.PolySynth(Tone.FMSynth, {
-            harmonicity: 3,  // Increased for more harmonic richness
-            modulationIndex: 2,
-            oscillator: {
-                type: "sine",
-                partials: [1, 0.5, 0.25]  // Added partials for richer tone
-            },
-            envelope: {
-                attack: 0.02,  // Faster attack for marimba-like response
-                decay: 0.3,    // Longer decay
-                sustain: 0.2,  // Lower sustain for more percussive sound
-                release: 0.8   // Longer release for natural fade
-            },
-            modulation: {
-                type: "triangle"  // Changed to triangle for warmer sound
-            },
-            modulationEnvelope: {
-                attack: 0.005,
-                decay: 0.2,
-                sustain: 0.2,
-                release: 0.5
-            },
-            volume: this.volume
-        }).connect(this.chorus);
-
-        // A minor pentatonic scale across three octaves
-        this.baseNote = 'A4'; // Root note
-        this.scale = ['A', 'C', 'D', 'E', 'G']; // Pentatonic scale notes
-        this.notes = {
-            high: ['A5', 'C6', 'D6', 'E6', 'G6'],
-            mid:  ['A4', 'C5', 'D5', 'E5', 'G5'],
-            low:  ['A3', 'C4', 'D4', 'E4', 'G4']
-        };
+        // Every instrument plays through the master volume
+        this.output = new Tone.Volume(this.volume).connect(this.chorus);
+
+        // Voice pools by instrument preset, created the first time a neuron plays one.
+        // polyphony overrides a preset's voice count; stealing is a VOICE_STEALING key.
+        this.pools = new Map();
+        this.polyphony = {};
+        this.stealing = 'oldest';
+
+        // Audio for the sample instrument, from loadSample()
+        this.sample = null;
+
+        // Key, scale and tuning, see Scales.js; notes holds one array of frequencies per
+        // octave, from the lowest up. Starts as A minor pentatonic across three octaves.
+        this.tuning = { ...DEFAULT_TUNING };
+        this.notes = buildScale(this.tuning);
 
         // Melodic progression tracking
         this.lastNoteIndex = 0;
@@ -63,70 +74,201 @@ export class SoundManager {
         this.melodicPattern = [0, 2, 4, 3, 1]; // Pentatonic pattern for more musical progression
         this.currentPatternIndex = 0;
         
+        // Quantized playback: notes wait for the next grid step on the transport, at bpm
+        // with swing (0-1). The simulation itself is never quantized.
+        this.quantize = {
+            enabled: false,
+            grid: '8n',
+            bpm: 120,
+            swing: 0
+        };
+
         this.isPlaying = false;
-        this.lastPlayTime = 0;
-        this.minTimeBetweenNotes = 200; // Adjusted for more musical timing
         this.neuronNotes = new Map();
+        this.lastNoteTimes = new Map(); // neuron id -> ms, for retrigger guards
     }
 
     setVolume(value) {
         this.volume = value;
-        this.synth.volume.value = value;
+        this.output.volume.value = value;
+    }
+
+    getPool(instrument) {
+        const key = INSTRUMENT_PRESETS[instrument] ? instrument : 'marimba';
+        if (!this.pools.has(key)) {
+            const preset = INSTRUMENT_PRESETS[key];
+            const options = key === 'sample' ?
+                { ...preset.options, urls: { [this.sample.rootNote]: this.sample.buffer } } :
+                preset.options;
+            this.pools.set(key, new InstrumentPool({ ...preset, options }, this.output, {
+                polyphony: this.getPolyphony(key),
+                stealing: this.stealing
+            }));
+        }
+        return this.pools.get(key);
+    }
+
+    getPolyphony(instrument) {
+        return this.polyphony[instrument] ?? INSTRUMENT_PRESETS[instrument].voices;
+    }
+
+    // Most notes an instrument plays at once, across all neurons using it
+    setPolyphony(instrument, count) {
+        this.polyphony[instrument] = count;
+        this.pools.get(instrument)?.setPolyphony(count);
+    }
+
+    setVoiceStealing(stealing) {
+        if (!VOICE_STEALING[stealing]) return;
+        this.stealing = stealing;
+        this.pools.forEach(pool => {
+            pool.stealing = stealing;
+        });
+    }
+
+    // Use a local audio file for the sample instrument, played at its recorded pitch
+    // for rootNote and repitched for every other note
+    async loadSample(file, rootNote = 'C4') {
+        const url = URL.createObjectURL(file);
+        try {
+            const buffer = await new Tone.ToneAudioBuffer().load(url);
+            this.sample = { buffer, rootNote, name: file.name };
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        this.resetSamplePool();
+    }
+
+    setSampleRoot(rootNote) {
+        if (!this.sample) return;
+        this.sample = { ...this.sample, rootNote };
+        this.resetSamplePool();
     }
 
-    transposeToPentatonic(note) {
-        const noteIndex = this.scale.indexOf(note.slice(0, -1));
-        const octave = parseInt(note.slice(-1));
-        return this.scale[noteIndex] + octave;
+    // Rebuilt with the current sample on the next note
+    resetSamplePool() {
+        this.pools.get('sample')?.dispose();
+        this.pools.delete('sample');
+    }
+
+    // e.g. { enabled: true, grid: '16n', swing: 0.3 }. The transport only runs while
+    // quantizing.
+    setQuantize(options) {
+        this.quantize = { ...this.quantize, ...options };
+
+        const transport = Tone.getTransport();
+        transport.bpm.value = this.quantize.bpm;
+        transport.swing = this.quantize.swing;
+        transport.swingSubdivision = this.quantize.grid;
+
+        if (this.quantize.enabled && transport.state !== 'started') {
+            Tone.start();
+            transport.start();
+        } else if (!this.quantize.enabled && transport.state === 'started') {
+            transport.stop();
+            transport.cancel();
+        }
+    }
+
+    // Change key, scale, tuning or octave range, e.g. { root: 'D', scale: 'dorian' }.
+    // Neurons keep the note closest to the one they had.
+    setTuning(options) {
+        const oldNotes = this.notes;
+        this.tuning = { ...this.tuning, ...options };
+        this.notes = buildScale(this.tuning);
+
+        this.neuronNotes.forEach((noteData, neuronId) => {
+            const frequency = oldNotes[noteData.octave]?.[noteData.noteIndex];
+            if (frequency) {
+                this.neuronNotes.set(neuronId, { ...noteData, ...this.findClosestNote(frequency) });
+            }
+        });
+    }
+
+    findClosestNote(frequency) {
+        let closest = { octave: 0, noteIndex: 0 };
+        let closestDistance = Infinity;
+        this.notes.forEach((notes, octave) => {
+            notes.forEach((note, noteIndex) => {
+                const distance = Math.abs(Math.log2(note / frequency));
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closest = { octave, noteIndex };
+                }
+            });
+        });
+        return closest;
     }
 
     assignNoteRange(neuronId) {
-        // Create a melodic progression using the pattern
-        const ranges = ['mid', 'high', 'low'];
-        const range = ranges[neuronId % 3];
-        
+        // Spread neurons over the octaves, starting from the middle one and going up
+        const octaves = this.notes.length;
+        const octave = (Math.floor(octaves / 2) + neuronId) % octaves;
+        const degrees = this.notes[octave].length;
+
         // Use melodic pattern for note selection
-        const noteIndex = this.melodicPattern[this.currentPatternIndex];
+        const noteIndex = this.melodicPattern[this.currentPatternIndex] % degrees;
         this.currentPatternIndex = (this.currentPatternIndex + 1) % this.melodicPattern.length;
 
-        // Store both range and preferred note index
+        // Store both octave and preferred note index
         this.neuronNotes.set(neuronId, {
-            range: range,
-            noteIndex: noteIndex
+            octave,
+            noteIndex
         });
 
         // Update melody direction for variety
-        if (this.lastNoteIndex >= this.notes[range].length - 1) {
+        if (this.lastNoteIndex >= degrees - 1) {
             this.melodyDirection = -1;
         } else if (this.lastNoteIndex <= 0) {
             this.melodyDirection = 1;
         }
-        this.lastNoteIndex = (this.lastNoteIndex + this.melodyDirection) % this.notes[range].length;
+        this.lastNoteIndex = (this.lastNoteIndex + this.melodyDirection) % degrees;
 
-        return range;
+        return octave;
     }
 
-    playNeuronFiring(weight = 0.5, speed = 0.5, neuronId, isIsolated = false, hasDC = false, distance = 0) {
+    // Frequency a neuron plays: its own pitch if it has one, otherwise the automatic
+    // assignment from the scale
+    getNeuronNote(neuronId, voice = DEFAULT_VOICE) {
+        if (voice.pitch === 'degree' || voice.pitch === 'note') {
+            return getNoteFrequency(this.tuning, voice);
+        }
+
+        let noteData = this.neuronNotes.get(neuronId);
+        if (!noteData) {
+            this.assignNoteRange(neuronId);
+            noteData = this.neuronNotes.get(neuronId);
+        }
+
+        // Use the assigned note index for more melodic progression
+        return this.notes[noteData.octave][noteData.noteIndex];
+    }
+
+    // Forget a deleted neuron's note assignment
+    releaseNeuron(neuronId) {
+        this.neuronNotes.delete(neuronId);
+        this.lastNoteTimes.delete(neuronId);
+    }
+
+    playNeuronFiring(weight = 0.5, speed = 0.5, neuronId, isIsolated = false, hasDC = false, distance = 0, voice = DEFAULT_VOICE) {
         const now = Date.now();
-        if (now - this.lastPlayTime < this.minTimeBetweenNotes) {
+        if (voice.retriggerGuard > 0 && now - (this.lastNoteTimes.get(neuronId) ?? -Infinity) < voice.retriggerGuard) {
             return;
         }
-        this.lastPlayTime = now;
+        this.lastNoteTimes.set(neuronId, now);
     
         if (!this.isPlaying) {
             Tone.start();
             this.isPlaying = true;
         }
     
-        let noteData = this.neuronNotes.get(neuronId);
-        if (!noteData) {
-            const range = this.assignNoteRange(neuronId);
-            noteData = this.neuronNotes.get(neuronId);
+        const note = this.getNeuronNote(neuronId, voice);
+        // Nothing to play until a sample is loaded
+        if (voice.instrument === 'sample' && !this.sample) {
+            return;
         }
-    
-        // Use the assigned note index for more melodic progression
-        const notes = this.notes[noteData.range];
-        const note = notes[noteData.noteIndex];
+        const instrument = INSTRUMENT_PRESETS[voice.instrument] ?? INSTRUMENT_PRESETS.marimba;
     
         weight = Math.max(0.2, Math.min(0.8, weight));
         speed = Math.max(0.2, Math.min(0.8, speed));
@@ -182,29 +324,34 @@ export class SoundManager {
             };
         }
     
-        this.synth.set({
-            envelope: envelope,
-            modulationEnvelope: envelope,
-            harmonicity: modulation.harmonicity,
-            modulationIndex: modulation.modulationIndex
-        });
-    
+        envelope.decay *= instrument.envelopeScale;
+        envelope.release *= instrument.envelopeScale;
+
          this.reverb.wet.value = effects.reverbWet;
          this.chorus.wet.value = effects.chorusWet;
      
-         const velocity = isIsolated 
+         const velocity = Math.min(1, voice.velocity * (isIsolated 
              ? (hasDC ? 0.6 : 0.4)
-             : (0.5 + (weight * 0.3));
+             : (0.5 + (weight * 0.3))));
          const duration = Math.max(0.1, envelope.sustain + envelope.release);
          
-         setTimeout(() => {
-             this.synth.triggerAttackRelease(note, duration, Tone.now(), velocity);
-         }, 0);
+         const play = time => {
+             this.getPool(voice.instrument).play(note, duration, velocity, { envelope, modulation }, neuronId, time);
+         };
+
+         if (this.quantize.enabled) {
+             // Swing is applied by the transport to off-beat grid steps
+             Tone.getTransport().scheduleOnce(play, `@${this.quantize.grid}`);
+         } else {
+             setTimeout(() => play(Tone.now()), 0);
+         }
      }
  
      cleanup() {
-         if (this.synth) {
-             this.synth.dispose();
+         this.pools.forEach(pool => pool.dispose());
+         this.pools.clear();
+         if (this.output) {
+             this.output.dispose();
          }
          if (this.chorus) {
              this.chorus.dispose();
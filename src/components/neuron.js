@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { NeuronModel } from '../core/NeuronModel.js';
+import { INHIBITORY_COLOR } from './ConnectionManager';
+import { SELECTION_COLOR } from './SelectionManager';
+import { DEFAULT_VOICE } from './SoundManager';
 
 export class Neuron {
     static isScrolling = false;
@@ -26,24 +30,53 @@ export class Neuron {
         opacity: 0.8
     });
 
-    constructor(mesh) {
-        this.id = ++Neuron.neuronCount;
-        mesh.position.y = -0.01 + (this.id * 0.1);
+    // Per-frame smoothing factor for scale changes driven by charge
+    static scaleSmoothing = 0.15;
+
+    // Outlines shown around a highlighted neuron, e.g. from the raster plot, and around
+    // a selected one
+    static highlightGeometry = new THREE.RingGeometry(1.2, 1.4, 32);
+    static highlightMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffff00,
+        transparent: true,
+        opacity: 0.9
+    });
+    static selectionGeometry = new THREE.RingGeometry(1.5, 1.65, 32);
+    static selectionMaterial = new THREE.MeshBasicMaterial({
+        color: SELECTION_COLOR,
+        transparent: true,
+        opacity: 0.9
+    });
+
+    // Square outline marking input sources (Poisson, metronome, pattern, sequencer)
+    static sourceGeometry = new THREE.RingGeometry(1.45, 1.6, 4, 1, Math.PI / 4);
+    static sourceMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00ff88,
+        transparent: true,
+        opacity: 0.9
+    });
+    static sourceScale = 0.5;
+
+    constructor(mesh, { id } = {}) {
+        // Stack neurons in creation order so overlapping circles draw consistently
+        mesh.position.y = -0.01 + (++Neuron.neuronCount * 0.1);
         this.mesh = mesh;
 
-        //Sound id
-        this.id = Math.floor(Math.random() * 10000);
+        // Simulation state lives in the headless model; this class only renders it
+        this.core = new NeuronModel({ id });
+        this.core.userData.neuron = this;
         
         // Constants
-        this.threshold = 1;
         this.chargeRate = 0.01;
         this.chargingInterval = 1000;
         this.baseScale = 0.2;
         this.maxScale = 1;
-        this.refractionPeriod = 100;
         this.originalColor = 0xff0000;
         this.firingColor = 0xffff00;
 
+        // Pitch, instrument and velocity of this neuron's spikes, see DEFAULT_VOICE
+        this.sound = { ...DEFAULT_VOICE };
+
         // Add envelope details storage here
         this.currentEnvelope = {
             attack: 0,
@@ -51,27 +84,17 @@ export class Neuron {
             release: 0
         };
         
-        // State
-        this.currentCharge = 0;
-        this.lastFiringTime = 0;
-        this.isFiring = false;
-        this.dcInput = 0;
-        this.dcInterval = null;
-        
         // Scale management
         this.targetScale = this.baseScale;
         this.isScaling = false;
         this.scrollTimeout = null;
         
-        // Optimized collections
-        this.outgoingConnections = new Set();
-        this.synapticWeights = new Map();
-        this.synapticSpeeds = new Map();
-        
         // Animation management
         this.currentAnimation = null;
-        this.particleAnimations = new Set();
-        this.lastUpdateTime = performance.now();
+        this.particles = new Map(); // scheduled spike event -> particle mesh
+        this.highlight = null;
+        this.selectionRing = null;
+        this.sourceMarker = null;
     
         // Set initial scale
         this.mesh.scale.setScalar(this.baseScale);
@@ -85,78 +108,56 @@ export class Neuron {
     }
 
 
-    update() {
-        const currentTime = performance.now();
+    // Stable id shared with the model, also used to key synapses and sound
+    get id() { return this.core.id; }
 
-        // Safety check for stuck firing state
-        if (this.isFiring && currentTime - this.lastFiringTime > this.refractionPeriod * 2) {
-            this.forceReset();
-            return;
-        }
+    // Model state, exposed for the UI
+    get threshold() { return this.core.threshold; }
+    set threshold(value) { this.core.threshold = value; }
 
-        // Check if we should be firing based on DC input
-        if (!this.isFiring && !this.isInRefractoryPeriod() && this.dcInput > 0) {
-            const timeSinceLastFiring = currentTime - this.lastFiringTime;
-            if (timeSinceLastFiring > this.refractionPeriod) {
-                this.addCharge(this.dcInput * 0.1);
-            }
-        }
+    get refractionPeriod() { return this.core.refractionPeriod; }
+    set refractionPeriod(value) { this.core.refractionPeriod = value; }
 
-        // Handle firing state and visual effects
-        if (this.isFiring) {
-            const timeSinceFiring = currentTime - this.lastFiringTime;
-            if (timeSinceFiring < this.refractionPeriod) {
-                this.mesh.material.color.setHex(this.firingColor);
-            } else {
-                this.isFiring = false;
-                this.mesh.material.color.setHex(this.originalColor);
-            }
-        } else {
-            this.mesh.material.color.setHex(this.originalColor);
-        }
+    get dcInput() { return this.core.dcInput; }
 
-        // Update scale based on state
-        if (!Neuron.isScrolling) {
-            this.updateVisualState();
-        }
+    get currentCharge() { return this.core.currentCharge; }
+    set currentCharge(value) { this.core.currentCharge = value; }
+
+    get isFiring() { return this.core.isFiring; }
+    set isFiring(value) { this.core.isFiring = value; }
+
+    get lastFiringTime() { return this.core.lastFiringTime; }
+    set lastFiringTime(value) { this.core.lastFiringTime = value; }
+
+    get outgoingConnections() { return this.core.outgoingConnections; }
+    get synapticWeights() { return this.core.synapticWeights; }
+    get synapticSpeeds() { return this.core.synapticSpeeds; }
+
+    getTargetScale() {
+        if (this.core.dynamics.source) return Neuron.sourceScale;
+
+        const chargeRatio = this.core.getChargeRatio();
+        const dcScale = this.baseScale + (this.maxScale - this.baseScale) * this.dcInput;
+        return dcScale + (this.maxScale - dcScale) * chargeRatio * 0.2;
     }
 
+    // Called every frame; eases the mesh toward the scale implied by the current state
     updateVisualState() {
-        if (this.isFiring) {
-            const pulseScale = 0.1 * Math.sin(performance.now() * 0.01);
-            const baseScale = this.baseScale + (this.maxScale - this.baseScale) * this.dcInput;
-            const targetScale = baseScale + pulseScale;
-            this.mesh.scale.setScalar(targetScale);
-        } else {
-            const chargeRatio = this.currentCharge / this.threshold;
-            const dcScale = this.baseScale + (this.maxScale - this.baseScale) * this.dcInput;
-            const targetScale = dcScale + (this.maxScale - dcScale) * chargeRatio * 0.2;
-            
-            if (this.currentAnimation) {
-                this.currentAnimation.kill();
-            }
-            
-            this.currentAnimation = gsap.to(this.mesh.scale, {
-                x: targetScale,
-                y: targetScale,
-                z: targetScale,
-                duration: 0.3,
-                ease: "power2.out",
-                onComplete: () => {
-                    this.currentAnimation = null;
-                }
-            });
-        }
+        this.updateSourceMarker();
+        if (this.currentAnimation || Neuron.isScrolling || gsap.isTweening(this.mesh.scale)) return;
+
+        const currentScale = this.mesh.scale.x;
+        const targetScale = this.getTargetScale();
+        this.mesh.scale.setScalar(currentScale + (targetScale - currentScale) * Neuron.scaleSmoothing);
     }
 
     fire() {
-        if (this.isFiring) return;
-        
-        const currentTime = performance.now();
-        if (currentTime - this.lastFiringTime < this.refractionPeriod) return;
-    
-        this.isFiring = true;
-        this.lastFiringTime = currentTime;
+        window.network.fire(this.core);
+    }
+
+    // Called by the network after the model fired and its spikes were scheduled
+    onFire(time, events) {
+        events.forEach(event => this.createSignalParticle(event));
         
         // Play firing sound if soundManager exists
         if (window.soundManager) {
@@ -165,14 +166,14 @@ export class Neuron {
             let connectionCount = 0;
             let avgDistance = 0;
     
-            this.outgoingConnections.forEach(targetIndex => {
-                const targetNeuron = window.circles[targetIndex];
+            this.outgoingConnections.forEach(targetId => {
+                const targetNeuron = window.network.getNeuron(targetId)?.userData.neuron?.mesh;
                 if (targetNeuron) {
                     const distance = this.mesh.position.distanceTo(targetNeuron.position);
                     avgDistance += distance;
                     
-                    avgWeight += this.synapticWeights.get(targetIndex) ?? 0.1;
-                    avgSpeed += this.synapticSpeeds.get(targetIndex) ?? 0.5;
+                    avgWeight += Math.abs(this.synapticWeights.get(targetId) ?? 0.1);
+                    avgSpeed += this.synapticSpeeds.get(targetId) ?? 0.5;
                     connectionCount++;
                 }
             });
@@ -206,10 +207,18 @@ export class Neuron {
                 this.id,
                 connectionCount === 0,
                 this.dcInput > 0,
-                avgDistance
+                avgDistance,
+                this.sound
             );
         }
+
+        window.midiOutput?.playSpike(this, time);
         
+        this.playFiringAnimation();
+    }
+
+    // Purely visual; simulation state was already updated in fire()
+    playFiringAnimation() {
         // Calculate target scales
         const dcScale = this.baseScale + (this.maxScale - this.baseScale) * this.dcInput;
         const currentScale = this.mesh.scale.x;
@@ -233,15 +242,8 @@ export class Neuron {
         // Create new animation timeline
         this.currentAnimation = gsap.timeline({
             onComplete: () => {
-                this.isFiring = false;
-                this.currentCharge = 0;
                 this.mesh.material.color.setHex(this.originalColor);
-                this.updateVisualState();
                 this.currentAnimation = null;
-                
-                if (window.updateChargeLabel) {
-                    window.updateChargeLabel(this.mesh);
-                }
             },
             onInterrupt: () => {
                 this.mesh.material.color.setHex(this.originalColor);
@@ -277,37 +279,17 @@ export class Neuron {
             duration: 0.2,
             ease: "power1.inOut"
         }, ">-0.2");
-    
-        // Process outgoing connections
-        for (const targetIndex of this.outgoingConnections) {
-            const targetNeuron = window.circles?.[targetIndex]?.neuron;
-            if (!targetNeuron) continue;
-            
-            const weight = this.synapticWeights.get(targetIndex) ?? 0.1;
-            const speed = this.synapticSpeeds.get(targetIndex) ?? 0.5;
-            
-            setTimeout(() => {
-                if (this.isFiring) {
-                    this.createAndAnimateSignalParticle(targetIndex, weight, speed, targetNeuron);
-                }
-            }, Math.random() * 50);
-        }
-        
-        this.updateVisualState();
-        
-        if (window.updateChargeLabel) {
-            window.updateChargeLabel(this.mesh);
-        }
+
     }
 
-    createAndAnimateSignalParticle(targetIndex, weight, speed, targetNeuron) {
-        if (!this.mesh.parent || !window.circles[targetIndex]) return;
+    createSignalParticle(event) {
+        if (!this.mesh.parent) return;
     
         // Create particle with static geometry
         const particle = new THREE.Mesh(
             Neuron.particleGeometry,
             new THREE.MeshBasicMaterial({
-                color: 0xffffff,
+                color: event.weight < 0 ? INHIBITORY_COLOR : 0xffffff,
                 transparent: true,
                 opacity: 0.8
             })
@@ -322,95 +304,60 @@ export class Neuron {
         particle.rotation.x = -Math.PI / 2;
         
         // Scale particle based on weight (0.5 to 1.5 range)
-        const particleScale = 1 + (weight * 2);
+        const particleScale = 1 + (Math.abs(event.weight) * 2);
         particle.scale.setScalar(particleScale);
+
+        // Path is recomputed every frame in case neurons moved
+        particle.userData.curve = new THREE.QuadraticBezierCurve3(
+            new THREE.Vector3(),
+            new THREE.Vector3(),
+            new THREE.Vector3()
+        );
         
         // Add to scene
         this.mesh.parent.add(particle);
-    
-        // Calculate path parameters
-        const sourcePos = new THREE.Vector3(
-            this.mesh.position.x,
-            -10,
-            this.mesh.position.z
-        );
-        const targetPos = new THREE.Vector3(
-            window.circles[targetIndex].position.x,
-            -10,
-            window.circles[targetIndex].position.z
-        );
-    
-        // Calculate duration based on speed
-        const distance = sourcePos.distanceTo(targetPos);
-        const maxDuration = 4;
-        const minDuration = 0.6;
-        const duration = maxDuration - ((speed - 0.1) * (maxDuration - minDuration) / 0.8);
-    
-        // Create curve for path
-        const midPoint = new THREE.Vector3().addVectors(sourcePos, targetPos).multiplyScalar(0.5);
-        midPoint.y -= 1; // Add curve
-        const curve = new THREE.QuadraticBezierCurve3(sourcePos, midPoint, targetPos);
-    
-        // Animate
-        const progress = { value: 0 };
-        const animation = gsap.to(progress, {
-            value: 1,
-            duration: duration,
-            ease: "none",
-            onUpdate: () => {
-                // Update positions in case neurons moved
-                sourcePos.set(
-                    this.mesh.position.x,
-                    -10,
-                    this.mesh.position.z
-                );
-                targetPos.set(
-                    window.circles[targetIndex].position.x,
-                    -10,
-                    window.circles[targetIndex].position.z
-                );
-    
-                // Update curve
-                midPoint.addVectors(sourcePos, targetPos).multiplyScalar(0.5);
-                midPoint.y -= 1;
-                curve.v0.copy(sourcePos);
-                curve.v1.copy(midPoint);
-                curve.v2.copy(targetPos);
-    
-                // Update particle position
-                const point = curve.getPoint(progress.value);
-                particle.position.copy(point);
-    
-                // Add oscillation
-                particle.position.y += Math.sin(progress.value * Math.PI * 2) * 0.1;
-            },
-            onComplete: () => {
-                // Cleanup
-                if (particle.parent) {
-                    particle.parent.remove(particle);
-                }
-                particle.material.dispose();
-                
-                // Trigger target neuron
-                targetNeuron.addCharge(weight);
-                
-                // Remove from tracking set
-                this.particleAnimations.delete(animation);
+        this.particles.set(event, particle);
+    }
+
+    // Position in-flight particles from the simulated time of their spike events
+    updateParticles(time) {
+        this.particles.forEach((particle, event) => {
+            const progress = (time - event.emitTime) / (event.time - event.emitTime);
+            const targetMesh = event.target.userData.neuron?.mesh;
+            if (progress >= 1 || !targetMesh?.parent) {
+                this.removeParticle(event);
+                return;
             }
+
+            const curve = particle.userData.curve;
+            curve.v0.set(this.mesh.position.x, -10, this.mesh.position.z);
+            curve.v2.set(targetMesh.position.x, -10, targetMesh.position.z);
+
+            // Add curve
+            curve.v1.addVectors(curve.v0, curve.v2).multiplyScalar(0.5);
+            curve.v1.y -= 1;
+
+            curve.getPoint(Math.max(0, progress), particle.position);
+
+            // Add oscillation
+            particle.position.y += Math.sin(progress * Math.PI * 2) * 0.1;
         });
-    
-        // Track animation for cleanup
-        this.particleAnimations.add(animation);
+    }
+
+    removeParticle(event) {
+        const particle = this.particles.get(event);
+        if (!particle) return;
+
+        if (particle.parent) {
+            particle.parent.remove(particle);
+        }
+        particle.material.dispose();
+        this.particles.delete(event);
     }
 
     setDCInput(value) {
         const previousDC = this.dcInput;
-        this.dcInput = Math.max(0, Math.round(value * 100) / 100);
-        
-        if (this.dcInterval) {
-            clearInterval(this.dcInterval);
-            this.dcInterval = null;
-        }
+        this.core.setDCInput(value);
         
         // Only reset if DC was already 0 and we're trying to go lower
         if (this.dcInput <= 0 && previousDC <= 0) {
@@ -420,50 +367,74 @@ export class Neuron {
         
         this.updateVisualState();
         
-        if (this.dcInput > 0) {
-            this.dcInterval = setInterval(() => {
-                if (!this.isFiring && !this.isInRefractoryPeriod()) {
-                    this.addCharge(this.dcInput * 0.1);
-                }
-            }, 50);
-        }
-        
         if (window.updateChargeLabel) {
             window.updateChargeLabel(this.mesh);
         }
     }
 
-    addCharge(amount) {
-        if (this.isFiring || this.isInRefractoryPeriod()) return;
-    
-        const previousCharge = this.currentCharge;
-        this.currentCharge = Math.min(this.currentCharge + amount, this.threshold);
-    
-        // Update scale if charge changed
-        if (this.currentCharge !== previousCharge && !Neuron.isScrolling) {
-            this.updateVisualState();
-            
-            // Update label after scale change
-            if (window.updateChargeLabel) {
-                window.updateChargeLabel(this.mesh);
-            }
+    // A DC change made by the user, recorded for undo. Repeated changes from one wheel
+    // or slider gesture merge into a single step.
+    changeDCInput(value) {
+        const before = this.dcInput;
+        this.setDCInput(value);
+
+        const after = this.dcInput;
+        if (after === before) return;
+
+        const id = this.id;
+        const apply = dcInput => window.network.getNeuron(id)?.userData.neuron?.setDCInput(dcInput);
+        window.editHistory?.push({
+            label: 'Change DC input',
+            key: `dc:${id}`,
+            undo: () => apply(before),
+            redo: () => apply(after)
+        });
+    }
+
+    setHighlighted(highlighted) {
+        if (highlighted && !this.highlight) {
+            this.highlight = new THREE.Mesh(Neuron.highlightGeometry, Neuron.highlightMaterial);
+            this.mesh.add(this.highlight);
         }
-    
-        // Check firing threshold
-        if (this.currentCharge >= this.threshold && !this.isFiring) {
-            this.fire();
+        if (this.highlight) {
+            this.highlight.visible = highlighted;
+        }
+    }
+
+    // Show the source outline while the model is an input source
+    updateSourceMarker() {
+        const source = !!this.core.dynamics.source;
+        if (source && !this.sourceMarker) {
+            this.sourceMarker = new THREE.Mesh(Neuron.sourceGeometry, Neuron.sourceMaterial);
+            this.mesh.add(this.sourceMarker);
+        }
+        if (this.sourceMarker) {
+            this.sourceMarker.visible = source;
+        }
+    }
+
+    setSelected(selected) {
+        if (selected && !this.selectionRing) {
+            this.selectionRing = new THREE.Mesh(Neuron.selectionGeometry, Neuron.selectionMaterial);
+            this.mesh.add(this.selectionRing);
+        }
+        if (this.selectionRing) {
+            this.selectionRing.visible = selected;
         }
     }
 
+    // Visuals and labels follow the charge on the next frame
+    addCharge(amount) {
+        window.network.addCharge(this.core, amount);
+    }
+
     forceReset() {
         if (this.currentAnimation) {
             this.currentAnimation.kill(null, false);
             this.currentAnimation = null;
         }
         
-        this.isFiring = false;
-        this.currentCharge = 0;
-        this.lastFiringTime = 0;
+        this.core.reset();
         
         if (this.mesh) {
             this.mesh.material.color.setHex(this.originalColor);
@@ -477,7 +448,7 @@ export class Neuron {
 
     // Utility methods
     isInRefractoryPeriod() {
-        return (performance.now() - this.lastFiringTime) < this.refractionPeriod;
+        return this.core.isInRefractoryPeriod(window.network?.time ?? 0);
     }
 
     getNeuronState() {
@@ -493,35 +464,25 @@ export class Neuron {
         };
     }
 
-    // Connection management methods
-    addConnection(targetIndex, initialWeight = 0.1, initialSpeed = 0.5) {
-        this.outgoingConnections.add(targetIndex);
-        this.synapticWeights.set(targetIndex, initialWeight);
-        this.synapticSpeeds.set(targetIndex, initialSpeed);
+    // Connection management methods, keyed by target neuron id
+    addConnection(targetId, initialWeight = 0.1, initialSpeed = 0.5) {
+        this.core.addConnection(targetId, initialWeight, initialSpeed);
     }
 
-    updateConnectionWeight(targetIndex, weight) {
-        if (this.outgoingConnections.has(targetIndex)) {
-            this.synapticWeights.set(targetIndex, weight);
-        }
+    updateConnectionWeight(targetId, weight) {
+        this.core.updateConnectionWeight(targetId, weight);
     }
 
-    updateConnectionSpeed(targetIndex, speed) {
-        if (this.outgoingConnections.has(targetIndex)) {
-            this.synapticSpeeds.set(targetIndex, speed);
-        }
+    updateConnectionSpeed(targetId, speed) {
+        this.core.updateConnectionSpeed(targetId, speed);
     }
 
-    removeConnection(targetIndex) {
-        this.outgoingConnections.delete(targetIndex);
-        this.synapticWeights.delete(targetIndex);
-        this.synapticSpeeds.delete(targetIndex);
+    removeConnection(targetId) {
+        this.core.removeConnection(targetId);
     }
 
     reset() {
-        this.currentCharge = 0;
-        this.isFiring = false;
-        this.lastFiringTime = 0;
+        this.core.reset();
         this.updateVisualState();
         if (window.updateChargeLabel) {
             window.updateChargeLabel(this.mesh);
@@ -529,34 +490,39 @@ export class Neuron {
     }
 
     cleanup() {
-        // Clear interval
-        if (this.dcInterval) {
-            clearInterval(this.dcInterval);
-            this.dcInterval = null;
-        }
-        
         // Kill any ongoing animations
         if (this.currentAnimation) {
             this.currentAnimation.kill();
             this.currentAnimation = null;
         }
         
-        // Kill all particle animations
-        this.particleAnimations.forEach(animation => animation.kill());
-        this.particleAnimations.clear();
+        // Cancel spikes in flight and their particles
+        window.network?.clock.cancel(event => event.source === this.core);
+        this.particles.forEach((_, event) => this.removeParticle(event));
         
         // Clear collections
-        this.outgoingConnections.clear();
-        this.synapticWeights.clear();
-        this.synapticSpeeds.clear();
+        this.core.clearConnections();
+
+        if (this.highlight) {
+            this.mesh.remove(this.highlight);
+            this.highlight = null;
+        }
+        if (this.selectionRing) {
+            this.mesh.remove(this.selectionRing);
+            this.selectionRing = null;
+        }
+        if (this.sourceMarker) {
+            this.mesh.remove(this.sourceMarker);
+            this.sourceMarker = null;
+        }
+        
+        // Reset state
+        this.reset();
         
-        // Remove label if it exists
+        // Remove label if it exists (after reset, which refreshes it)
         if (this.mesh.chargeLabel) {
             document.body.removeChild(this.mesh.chargeLabel);
             this.mesh.chargeLabel = null;
         }
-        
-        // Reset state
-        this.reset();
     }
 } // End of Neuron class
\ No newline at end of file
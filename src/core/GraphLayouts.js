@@ -0,0 +1,193 @@
+// Layouts placing neurons on the plane from the connection graph alone. Each takes
+// nodes [{ id, x, z }] and edges [{ from, to }] by neuron id, and returns a Map from
+// id to { x, z }, centred where the nodes were before.
+
+// Evenly around a circle wide enough to keep neighbours spacing apart
+export function circleLayout(count, spacing) {
+    const radius = Math.max(spacing, spacing * count / (2 * Math.PI));
+    return Array.from({ length: count }, (_, index) => {
+        const angle = 2 * Math.PI * index / count;
+        return { x: radius * Math.cos(angle), z: radius * Math.sin(angle) };
+    });
+}
+
+function centroid(points) {
+    const count = Math.max(points.length, 1);
+    return {
+        x: points.reduce((sum, point) => sum + point.x, 0) / count,
+        z: points.reduce((sum, point) => sum + point.z, 0) / count
+    };
+}
+
+// Move positions so their centroid matches the nodes' current one
+function recentre(nodes, positions) {
+    const from = centroid(positions);
+    const to = centroid(nodes);
+    const result = new Map();
+    nodes.forEach((node, index) => {
+        result.set(node.id, {
+            x: positions[index].x - from.x + to.x,
+            z: positions[index].z - from.z + to.z
+        });
+    });
+    return result;
+}
+
+// Neighbour lists by node index, ignoring edges to nodes outside the layout
+function adjacency(nodes, edges) {
+    const indices = new Map(nodes.map((node, index) => [node.id, index]));
+    const outgoing = nodes.map(() => []);
+    const incoming = nodes.map(() => []);
+    edges.forEach(({ from, to }) => {
+        if (!indices.has(from) || !indices.has(to)) return;
+        outgoing[indices.get(from)].push(indices.get(to));
+        incoming[indices.get(to)].push(indices.get(from));
+    });
+    return { outgoing, incoming };
+}
+
+export const GRAPH_LAYOUTS = {
+    // Fruchterman–Reingold: connected neurons attract, all neurons repel, starting
+    // from the current positions
+    force: {
+        label: 'Force-directed',
+        layout(nodes, edges, { spacing = 2.5, iterations = 300 } = {}) {
+            const { outgoing } = adjacency(nodes, edges);
+
+            // A tiny deterministic nudge separates neurons stacked on the same spot
+            const positions = nodes.map(({ x, z }, index) => ({
+                x: x + Math.cos(index * 2.4) * 0.01,
+                z: z + Math.sin(index * 2.4) * 0.01
+            }));
+            const k = spacing;
+            let temperature = spacing * Math.sqrt(nodes.length);
+
+            for (let iteration = 0; iteration < iterations; iteration++) {
+                const forces = positions.map(() => ({ x: 0, z: 0 }));
+
+                for (let i = 0; i < positions.length; i++) {
+                    for (let j = i + 1; j < positions.length; j++) {
+                        const dx = positions[i].x - positions[j].x;
+                        const dz = positions[i].z - positions[j].z;
+                        const distance = Math.max(Math.hypot(dx, dz), 0.01);
+                        const repulsion = k * k / distance;
+                        forces[i].x += dx / distance * repulsion;
+                        forces[i].z += dz / distance * repulsion;
+                        forces[j].x -= dx / distance * repulsion;
+                        forces[j].z -= dz / distance * repulsion;
+                    }
+                }
+
+                outgoing.forEach((targets, i) => targets.forEach(j => {
+                    const dx = positions[i].x - positions[j].x;
+                    const dz = positions[i].z - positions[j].z;
+                    const distance = Math.max(Math.hypot(dx, dz), 0.01);
+                    const attraction = distance * distance / k;
+                    forces[i].x -= dx / distance * attraction;
+                    forces[i].z -= dz / distance * attraction;
+                    forces[j].x += dx / distance * attraction;
+                    forces[j].z += dz / distance * attraction;
+                }));
+
+                positions.forEach((position, i) => {
+                    const length = Math.max(Math.hypot(forces[i].x, forces[i].z), 0.01);
+                    const step = Math.min(length, temperature);
+                    position.x += forces[i].x / length * step;
+                    position.z += forces[i].z / length * step;
+                });
+
+                temperature *= 0.97;
+            }
+
+            return recentre(nodes, positions);
+        }
+    },
+
+    circular: {
+        label: 'Circular',
+        layout(nodes, edges, { spacing = 2.5 } = {}) {
+            return recentre(nodes, circleLayout(nodes.length, spacing));
+        }
+    },
+
+    // Layers by signal flow: neurons without inputs first, then each neuron one layer
+    // after the nearest earlier one feeding it; layers run left to right
+    hierarchical: {
+        label: 'Hierarchical',
+        layout(nodes, edges, { spacing = 2.5 } = {}) {
+            const { outgoing, incoming } = adjacency(nodes, edges);
+            const ranks = nodes.map(() => -1);
+
+            const spread = starts => {
+                const queue = [...starts];
+                while (queue.length > 0) {
+                    const index = queue.shift();
+                    outgoing[index].forEach(target => {
+                        if (ranks[target] !== -1) return;
+                        ranks[target] = ranks[index] + 1;
+                        queue.push(target);
+                    });
+                }
+            };
+
+            const sources = nodes
+                .map((_, index) => index)
+                .filter(index => incoming[index].length === 0);
+            sources.forEach(index => { ranks[index] = 0; });
+            spread(sources);
+
+            // Cycles without a source: start again from the first neuron left over
+            for (let index = 0; index < nodes.length; index++) {
+                if (ranks[index] !== -1) continue;
+                ranks[index] = 0;
+                spread([index]);
+            }
+
+            const layers = [];
+            ranks.forEach((rank, index) => {
+                (layers[rank] ||= []).push(index);
+            });
+
+            // Order each layer by where its inputs sit in the previous one, to untangle lines
+            const order = new Map();
+            const positions = nodes.map(() => ({ x: 0, z: 0 }));
+            layers.forEach((layer, rank) => {
+                const barycenter = index => {
+                    const placed = incoming[index].filter(source => order.has(source));
+                    if (placed.length === 0) return order.size + index;
+                    return placed.reduce((sum, source) => sum + order.get(source), 0) / placed.length;
+                };
+                layer.sort((a, b) => barycenter(a) - barycenter(b));
+                layer.forEach((index, position) => {
+                    order.set(index, position);
+                    positions[index] = {
+                        x: rank * spacing * 2,
+                        z: (position - (layer.length - 1) / 2) * spacing
+                    };
+                });
+            });
+
+            return recentre(nodes, positions);
+        }
+    },
+
+    grid: {
+        label: 'Grid',
+        layout(nodes, edges, { spacing = 2.5 } = {}) {
+            const columns = Math.ceil(Math.sqrt(nodes.length));
+            const positions = nodes.map((_, index) => ({
+                x: (index % columns) * spacing,
+                z: Math.floor(index / columns) * spacing
+            }));
+            return recentre(nodes, positions);
+        }
+    }
+};
+
+export function computeLayout(type, nodes, edges, options) {
+    const layout = GRAPH_LAYOUTS[type];
+    if (!layout) {
+        throw new Error(`Unknown graph layout: ${type}`);
+    }
+    return layout.layout(nodes, edges, options);
+}
@@ -0,0 +1,215 @@
+import { NeuronModel } from './NeuronModel.js';
+import { SimulationClock } from './SimulationClock.js';
+import { readDocument } from './NetworkDocument.js';
+import { STDP } from './Plasticity.js';
+
+export class Network {
+    // Spike travel time in simulated milliseconds for a connection speed
+    static spikeDelay(speed) {
+        const maxDuration = 4;
+        const minDuration = 0.6;
+        const duration = maxDuration - ((speed - 0.1) * (maxDuration - minDuration) / 0.8);
+        return Math.round(duration * 1000);
+    }
+
+    static fromDocument(doc, options) {
+        const { neurons, connections } = readDocument(doc);
+        const network = new Network(options);
+
+        neurons.forEach(data => {
+            network.addNeuron(new NeuronModel(data));
+        });
+
+        connections.forEach(({ from, to, weight, speed, shortTerm }) => {
+            network.connect(from, to, weight, speed);
+            if (shortTerm) {
+                network.getNeuron(from).setShortTermPlasticity(to, shortTerm);
+            }
+        });
+
+        return network;
+    }
+
+    constructor({ dt = 1, maxStepsPerFrame, plasticity } = {}) {
+        this.neurons = [];
+        this.neuronsById = new Map();
+        this.plasticity = new STDP(plasticity);
+        this.clock = new SimulationClock({ dt, maxStepsPerFrame });
+        this.clock.onStep = (time, stepDt) => this.handleStep(time, stepDt);
+        this.clock.onEvent = (event) => this.handleEvent(event);
+
+        this.listeners = {
+            spike: new Set(),    // (neuron, time, events) => void
+            deliver: new Set(),  // (event) => void
+            weight: new Set(),   // (source, targetId, weight) => void, from plasticity
+            step: new Set()      // (time, dt) => void, after every neuron has integrated
+        };
+    }
+
+    get time() {
+        return this.clock.time;
+    }
+
+    on(type, listener) {
+        this.listeners[type].add(listener);
+        return () => this.listeners[type].delete(listener);
+    }
+
+    emit(type, ...args) {
+        this.listeners[type].forEach(listener => listener(...args));
+    }
+
+    addNeuron(neuron = new NeuronModel()) {
+        if (this.neuronsById.has(neuron.id)) {
+            throw new Error(`Duplicate neuron id ${neuron.id}`);
+        }
+        this.neurons.push(neuron);
+        this.neuronsById.set(neuron.id, neuron);
+        return neuron;
+    }
+
+    getNeuron(id) {
+        return this.neuronsById.get(id);
+    }
+
+    hasNeuron(id) {
+        return this.neuronsById.has(id);
+    }
+
+    // Remove a neuron with its synapses in both directions and its spikes in flight.
+    // Returns the cancelled spike events so a renderer can drop their visuals.
+    removeNeuron(neuron) {
+        if (this.neuronsById.get(neuron.id) !== neuron) return [];
+
+        this.neurons.splice(this.neurons.indexOf(neuron), 1);
+        this.neuronsById.delete(neuron.id);
+        this.neurons.forEach(source => source.removeConnection(neuron.id));
+        neuron.clearConnections();
+
+        return this.cancelSpikes(neuron);
+    }
+
+    connect(fromId, toId, weight = 0.1, speed = 0.5) {
+        const source = this.getNeuron(fromId);
+        if (!source || !this.hasNeuron(toId)) {
+            throw new Error(`Cannot connect unknown neuron ${source ? toId : fromId}`);
+        }
+        source.addConnection(toId, weight, speed);
+    }
+
+    clear() {
+        this.neurons.forEach(neuron => neuron.clearConnections());
+        this.neurons = [];
+        this.neuronsById.clear();
+        this.clock.reset();
+    }
+
+    // Cancel spikes in flight from or to a neuron
+    cancelSpikes(neuron) {
+        return this.clock.cancel(event => event.source === neuron || event.target === neuron);
+    }
+
+    handleStep(time, dt) {
+        for (let i = 0; i < this.neurons.length; i++) {
+            const neuron = this.neurons[i];
+            if (neuron.step(time, dt)) {
+                this.handleFire(neuron, time);
+            }
+        }
+
+        if (this.listeners.step.size > 0) {
+            this.emit('step', time, dt);
+        }
+    }
+
+    handleEvent(event) {
+        this.emit('deliver', event);
+
+        if (this.plasticity.enabled) {
+            const weight = this.plasticity.onPreSpike(event.source, event.targetId, this.clock.time);
+            if (weight !== null) {
+                this.emit('weight', event.source, event.targetId, weight);
+            }
+        }
+
+        const efficacy = event.source.getSynapticEfficacy(event.targetId, this.clock.time);
+        if (event.target.addCharge(event.weight * efficacy, this.clock.time)) {
+            this.handleFire(event.target, this.clock.time);
+        }
+    }
+
+    // Add charge from outside the simulation, e.g. user input
+    addCharge(neuron, amount) {
+        if (neuron.addCharge(amount, this.clock.time)) {
+            this.handleFire(neuron, this.clock.time);
+        }
+    }
+
+    fire(neuron) {
+        if (neuron.fire(this.clock.time)) {
+            this.handleFire(neuron, this.clock.time);
+        }
+    }
+
+    // Schedule spike arrivals on outgoing connections
+    handleFire(neuron, time) {
+        const events = [];
+
+        for (const targetId of neuron.outgoingConnections) {
+            const target = this.getNeuron(targetId);
+            if (!target) continue;
+
+            const weight = neuron.synapticWeights.get(targetId) ?? 0.1;
+            const speed = neuron.synapticSpeeds.get(targetId) ?? 0.5;
+
+            events.push(this.clock.schedule(time + Network.spikeDelay(speed), {
+                source: neuron,
+                target,
+                targetId,
+                weight,
+                speed
+            }));
+        }
+
+        if (this.plasticity.enabled) {
+            this.applyPostSpikePlasticity(neuron, time);
+        }
+
+        this.emit('spike', neuron, time, events);
+    }
+
+    // Potentiate every connection into a neuron that just fired
+    applyPostSpikePlasticity(neuron, time) {
+        this.neurons.forEach(source => {
+            if (!source.outgoingConnections.has(neuron.id)) return;
+
+            const weight = this.plasticity.onPostSpike(source, neuron.id, time);
+            if (weight !== null) {
+                this.emit('weight', source, neuron.id, weight);
+            }
+        });
+    }
+
+    // Advance by real elapsed milliseconds, for interactive use
+    advance(realDelta) {
+        return this.clock.advance(realDelta);
+    }
+
+    // Run for a number of simulated seconds and return each neuron's spike times in ms
+    run(seconds) {
+        const indices = new Map(this.neurons.map((neuron, index) => [neuron, index]));
+        const spikeTrains = this.neurons.map(() => []);
+
+        const unsubscribe = this.on('spike', (neuron, time) => {
+            spikeTrains[indices.get(neuron)]?.push(time);
+        });
+
+        const steps = Math.round(seconds * 1000 / this.clock.dt);
+        for (let i = 0; i < steps; i++) {
+            this.clock.step();
+        }
+
+        unsubscribe();
+        return spikeTrains;
+    }
+}
@@ -0,0 +1,95 @@
+// Versioned JSON document describing a network, shared by the browser serializer
+// and headless runs
+
+// Current version of the saved network document format
+export const SCHEMA_VERSION = 2;
+
+// Migrations keyed by the version they upgrade FROM, each returning a document one version newer
+const migrations = new Map();
+
+export function registerMigration(fromVersion, migrate) {
+    migrations.set(fromVersion, migrate);
+}
+
+// Version 1 referenced neurons by array index; version 2 gives each neuron a stable id
+registerMigration(1, doc => ({
+    ...doc,
+    version: 2,
+    neurons: doc.neurons.map((neuron, index) => ({ ...neuron, id: index + 1 })),
+    connections: doc.connections.map(connection => ({
+        ...connection,
+        from: connection.from + 1,
+        to: connection.to + 1
+    }))
+}));
+
+export function migrateDocument(doc) {
+    let migrated = doc;
+    let version = migrated.version ?? 0;
+
+    while (version < SCHEMA_VERSION) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`No migration from network version ${version}`);
+        }
+        migrated = migration(migrated);
+        version = migrated.version;
+    }
+
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Network version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    return migrated;
+}
+
+export function validateDocument(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== 'snn') {
+        throw new Error('Not an SNN network document');
+    }
+    if (!Array.isArray(doc.neurons) || !Array.isArray(doc.connections)) {
+        throw new Error('Network document is missing neurons or connections');
+    }
+
+    const ids = new Set();
+    doc.neurons.forEach(({ id, position }) => {
+        if (!Number.isInteger(id) || id < 1 || ids.has(id)) {
+            throw new Error(`Invalid or duplicate neuron id ${id}`);
+        }
+        if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+            throw new Error(`Invalid position for neuron ${id}`);
+        }
+        ids.add(id);
+    });
+
+    doc.connections.forEach(({ from, to }) => {
+        if (!ids.has(from) || !ids.has(to) || from === to) {
+            throw new Error(`Invalid connection ${from} -> ${to}`);
+        }
+    });
+}
+
+// Distance between neurons placed in a row because their document left out positions
+const DEFAULT_SPACING = 2.5;
+
+// Give neurons without a position one, in a row from the origin, e.g. for hand-written
+// documents that only matter headlessly
+function placeMissingNeurons(doc) {
+    if (!Array.isArray(doc?.neurons) || doc.neurons.every(neuron => neuron?.position)) return doc;
+
+    let placed = 0;
+    return {
+        ...doc,
+        neurons: doc.neurons.map(neuron => neuron?.position ? neuron : {
+            ...neuron,
+            position: { x: placed++ * DEFAULT_SPACING, z: 0 }
+        })
+    };
+}
+
+// Migrate and validate in one go, returning a current-version document
+export function readDocument(doc) {
+    const migrated = placeMissingNeurons(migrateDocument(doc));
+    validateDocument(migrated);
+    return migrated;
+}
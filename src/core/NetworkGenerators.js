@@ -0,0 +1,209 @@
+import { SCHEMA_VERSION } from './NetworkDocument.js';
+import { circleLayout } from './GraphLayouts.js';
+import { createRandom } from './Random.js';
+
+// Templates that build whole networks as network documents, so the browser loads them
+// like a saved file and headless runs can use them directly:
+//
+//   const network = Network.fromDocument(generateNetwork('smallWorld', { neurons: 30 }));
+//
+// A template only decides where neurons go and which pairs connect; weights, speeds,
+// inhibition and DC input come from the options every template shares.
+
+// Options shared by every template. Weights are magnitudes; neurons picked as inhibitory
+// (by inhibitoryRatio) get negative weights on all their outgoing connections.
+export const GENERATOR_DEFAULTS = {
+    seed: 1,
+    weightMin: 0.1,
+    weightMax: 0.3,
+    speedMin: 0.3,
+    speedMax: 0.7,
+    inhibitoryRatio: 0.2,
+    dcInput: 0.5,
+    drivenRatio: 0.2,   // share of neurons given dcInput, unless the template picks its inputs
+    spacing: 2.5        // distance between neighbouring neurons on the plane
+};
+
+export const NETWORK_GENERATORS = {
+    // Erdős–Rényi: every ordered pair connects with the same probability
+    random: {
+        label: 'Random (Erdős–Rényi)',
+        params: { neurons: 20, probability: 0.1 },
+        build({ neurons, probability }, random, spacing) {
+            const edges = [];
+            for (let from = 0; from < neurons; from++) {
+                for (let to = 0; to < neurons; to++) {
+                    if (from !== to && random() < probability) {
+                        edges.push([from, to]);
+                    }
+                }
+            }
+            return { positions: circleLayout(neurons, spacing), edges };
+        }
+    },
+
+    // Watts–Strogatz: a ring lattice to the nearest neighbours, with each connection
+    // rewired to a random target with probability rewiring. Rewiring redraws until it
+    // finds a new target, so every neuron keeps its full out-degree.
+    smallWorld: {
+        label: 'Small-world (Watts–Strogatz)',
+        params: { neurons: 20, neighbors: 4, rewiring: 0.1 },
+        build({ neurons, neighbors, rewiring }, random, spacing) {
+            const targets = Array.from({ length: neurons }, () => new Set());
+            const reach = Math.max(1, Math.floor(neighbors / 2));
+
+            for (let from = 0; from < neurons; from++) {
+                for (let step = 1; step <= reach; step++) {
+                    [from + step, from - step].forEach(neighbor => {
+                        const to = (neighbor + neurons) % neurons;
+                        if (to !== from) targets[from].add(to);
+                    });
+                }
+            }
+
+            targets.forEach((set, from) => {
+                [...set].forEach(to => {
+                    // Nothing to rewire to when the neuron already reaches every other one
+                    if (random() >= rewiring || set.size >= neurons - 1) return;
+
+                    let next;
+                    do {
+                        next = Math.floor(random() * neurons);
+                    } while (next === from || set.has(next));
+                    set.delete(to);
+                    set.add(next);
+                });
+            });
+
+            const edges = [];
+            targets.forEach((set, from) => set.forEach(to => edges.push([from, to])));
+            return { positions: circleLayout(neurons, spacing), edges };
+        }
+    },
+
+    ring: {
+        label: 'Ring',
+        params: { neurons: 12, bidirectional: false },
+        build({ neurons, bidirectional }, random, spacing) {
+            const edges = [];
+            for (let from = 0; from < neurons && neurons > 1; from++) {
+                const to = (from + 1) % neurons;
+                edges.push([from, to]);
+                if (bidirectional && neurons > 2) edges.push([to, from]);
+            }
+            return { positions: circleLayout(neurons, spacing), edges };
+        }
+    },
+
+    // 2D lattice connecting each neuron to its right and lower neighbours
+    grid: {
+        label: '2D lattice',
+        params: { rows: 4, columns: 4, wrap: false, bidirectional: false },
+        build({ rows, columns, wrap, bidirectional }, random, spacing) {
+            const positions = [];
+            const edges = [];
+            const index = (row, column) => row * columns + column;
+
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    positions.push({
+                        x: (column - (columns - 1) / 2) * spacing,
+                        z: (row - (rows - 1) / 2) * spacing
+                    });
+
+                    const neighbors = [];
+                    if (column + 1 < columns) neighbors.push(index(row, column + 1));
+                    else if (wrap && columns > 2) neighbors.push(index(row, 0));
+                    if (row + 1 < rows) neighbors.push(index(row + 1, column));
+                    else if (wrap && rows > 2) neighbors.push(index(0, column));
+
+                    neighbors.forEach(neighbor => {
+                        edges.push([index(row, column), neighbor]);
+                        if (bidirectional) edges.push([neighbor, index(row, column)]);
+                    });
+                }
+            }
+            return { positions, edges };
+        }
+    },
+
+    // Layers left to right, each neuron connecting to the next layer with probability;
+    // the first layer gets the DC input
+    feedforward: {
+        label: 'Feed-forward layers',
+        params: { layers: 3, neuronsPerLayer: 5, probability: 0.6 },
+        build({ layers, neuronsPerLayer, probability }, random, spacing) {
+            const positions = [];
+            const edges = [];
+            const index = (layer, position) => layer * neuronsPerLayer + position;
+
+            for (let layer = 0; layer < layers; layer++) {
+                for (let position = 0; position < neuronsPerLayer; position++) {
+                    positions.push({
+                        x: (layer - (layers - 1) / 2) * spacing * 2,
+                        z: (position - (neuronsPerLayer - 1) / 2) * spacing
+                    });
+                    if (layer === 0) continue;
+
+                    for (let source = 0; source < neuronsPerLayer; source++) {
+                        if (random() < probability) {
+                            edges.push([index(layer - 1, source), index(layer, position)]);
+                        }
+                    }
+                }
+            }
+
+            const inputs = Array.from({ length: layers > 0 ? neuronsPerLayer : 0 }, (_, i) => i);
+            return { positions, edges, inputs };
+        }
+    }
+};
+
+// Build a network document from a template and options (template params plus
+// GENERATOR_DEFAULTS). Neuron ids start at 1.
+export function generateNetwork(type, options = {}) {
+    const generator = NETWORK_GENERATORS[type];
+    if (!generator) {
+        throw new Error(`Unknown network generator: ${type}`);
+    }
+
+    const settings = { ...GENERATOR_DEFAULTS, ...generator.params, ...options };
+    const random = createRandom(settings.seed);
+    const between = (min, max) => min + random() * (max - min);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    const { positions, edges, inputs } = generator.build(settings, random, settings.spacing);
+
+    // Which neurons are inhibitory and which are driven
+    const inhibitory = positions.map(() => random() < settings.inhibitoryRatio);
+    let driven = new Set(inputs);
+    if (!inputs) {
+        driven = new Set(positions
+            .map((_, index) => index)
+            .filter(() => random() < settings.drivenRatio));
+        // Keep at least one neuron driven, or nothing would ever fire
+        if (driven.size === 0 && settings.drivenRatio > 0 && positions.length > 0) {
+            driven.add(Math.floor(random() * positions.length));
+        }
+    }
+
+    return {
+        format: 'snn',
+        version: SCHEMA_VERSION,
+        generator: { type, ...settings },
+        neurons: positions.map((position, index) => ({
+            id: index + 1,
+            position: { x: round(position.x), z: round(position.z) },
+            dcInput: driven.has(index) ? settings.dcInput : 0
+        })),
+        connections: edges.map(([from, to]) => {
+            const weight = between(settings.weightMin, settings.weightMax);
+            return {
+                from: from + 1,
+                to: to + 1,
+                weight: round(inhibitory[from] ? -weight : weight),
+                speed: round(between(settings.speedMin, settings.speedMax))
+            };
+        })
+    };
+}
@@ -0,0 +1,266 @@
+// Dynamics for each neuron model type. A model integrates its own state variables on the
+// NeuronModel it is given and reports threshold crossings; refractoriness and spike
+// scheduling stay in NeuronModel and Network. All times are simulated milliseconds.
+// Negative (inhibitory) inputs push the state down, but never below the model's floor.
+// Source models (source: true) ignore their inputs and fire on their own schedule,
+// to drive the network through ordinary connections.
+import { createRandom } from './Random.js';
+
+// DC input adds dcInput * 0.1 charge per this many simulated milliseconds
+const DC_CHARGE_INTERVAL = 50;
+
+// Izhikevich input current for a DC input of 1, and membrane jump in mV for a weight of 1
+const IZHIKEVICH_INPUT_SCALE = 20;
+
+// Izhikevich (2003) parameters (a, b, c, d) for classic cortical firing patterns
+export const IZHIKEVICH_PRESETS = {
+    regularSpiking: {
+        label: 'Regular spiking',
+        params: { recoveryRate: 0.02, recoverySensitivity: 0.2, resetVoltage: -65, resetRecovery: 8 }
+    },
+    fastSpiking: {
+        label: 'Fast spiking',
+        params: { recoveryRate: 0.1, recoverySensitivity: 0.2, resetVoltage: -65, resetRecovery: 2 }
+    },
+    chattering: {
+        label: 'Chattering',
+        params: { recoveryRate: 0.02, recoverySensitivity: 0.2, resetVoltage: -50, resetRecovery: 2 }
+    },
+    intrinsicallyBursting: {
+        label: 'Intrinsically bursting',
+        params: { recoveryRate: 0.02, recoverySensitivity: 0.2, resetVoltage: -55, resetRecovery: 4 }
+    },
+    lowThresholdSpiking: {
+        label: 'Low-threshold spiking',
+        params: { recoveryRate: 0.02, recoverySensitivity: 0.25, resetVoltage: -65, resetRecovery: 2 }
+    }
+};
+
+// Spike times in ms from a list like "0, 250, 500", sorted; invalid entries are skipped
+export function parseSpikeTimes(text) {
+    return String(text)
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(time => Number.isFinite(time) && time >= 0)
+        .sort((a, b) => a - b);
+}
+
+// Whether a multiple of interval (shifted by offset) lies in the step [time - dt, time).
+// Steps end at time, so the first one covers [0, dt) and catches beats at zero.
+function crossesBeat(time, dt, interval, offset = 0) {
+    const end = time - offset;
+    if (!(interval > 0) || end <= 0) return false;
+    return Math.ceil(end / interval) > Math.ceil(Math.max(end - dt, 0) / interval);
+}
+
+// Shared by the source models: no membrane, inputs are ignored
+const SOURCE_DYNAMICS = {
+    source: true,
+    unit: '',
+    refractionPeriod: 0,
+    init() {},
+    receive: () => false,
+    reset() {},
+    potential: () => 0,
+    thresholdValue: () => 1,
+    restValue: () => 0,
+    floorValue: () => 0
+};
+
+export const NEURON_MODELS = {
+    // Original model: charge only accumulates, never leaks
+    integrate: {
+        label: 'Integrate-and-fire',
+        unit: '',
+        refractionPeriod: 100,
+        params: {
+            threshold: 1
+        },
+        init(neuron) {
+            neuron.currentCharge = 0;
+        },
+        step(neuron, dt) {
+            if (neuron.dcInput <= 0) return false;
+            return this.receive(neuron, neuron.dcInput * 0.1 * dt / DC_CHARGE_INTERVAL);
+        },
+        receive(neuron, amount) {
+            const charge = Math.min(neuron.currentCharge + amount, neuron.threshold);
+            neuron.currentCharge = Math.max(charge, this.floorValue(neuron));
+            return neuron.currentCharge >= neuron.threshold;
+        },
+        reset(neuron) {
+            neuron.currentCharge = 0;
+        },
+        potential: neuron => neuron.currentCharge,
+        thresholdValue: neuron => neuron.threshold,
+        restValue: () => 0,
+        floorValue: neuron => -neuron.threshold
+    },
+
+    // tau dV/dt = (V_rest - V) + R I, in millivolts. Inputs are scaled by the gap between
+    // rest and threshold: a weight of 1 jumps the whole gap, and a DC input of 0.5 settles
+    // exactly at threshold, so anything above it fires regularly.
+    lif: {
+        label: 'Leaky integrate-and-fire',
+        unit: 'mV',
+        refractionPeriod: 2,
+        params: {
+            membraneTimeConstant: 20,
+            restingPotential: -65,
+            resetPotential: -70,
+            thresholdPotential: -50
+        },
+        init(neuron) {
+            neuron.membranePotential = neuron.restingPotential;
+        },
+        step(neuron, dt) {
+            const range = neuron.thresholdPotential - neuron.restingPotential;
+            const steadyState = neuron.restingPotential + neuron.dcInput * 2 * range;
+
+            // Exact solution over one step, stable for any dt
+            const decay = Math.exp(-dt / neuron.membraneTimeConstant);
+            neuron.membranePotential = steadyState + (neuron.membranePotential - steadyState) * decay;
+
+            return neuron.membranePotential >= neuron.thresholdPotential;
+        },
+        receive(neuron, weight) {
+            const range = neuron.thresholdPotential - neuron.restingPotential;
+            neuron.membranePotential = Math.max(
+                neuron.membranePotential + weight * range,
+                this.floorValue(neuron)
+            );
+            return neuron.membranePotential >= neuron.thresholdPotential;
+        },
+        reset(neuron) {
+            neuron.membranePotential = neuron.resetPotential;
+        },
+        potential: neuron => neuron.membranePotential,
+        thresholdValue: neuron => neuron.thresholdPotential,
+        restValue: neuron => neuron.restingPotential,
+        // As far below rest as threshold is above it
+        floorValue: neuron => 2 * neuron.restingPotential - neuron.thresholdPotential
+    },
+
+    // v' = 0.04v^2 + 5v + 140 - u + I, u' = a(bv - u); on v >= 30 mV: v = c, u += d.
+    // Spike shape and bursting come from the dynamics, so no refractory period is needed.
+    izhikevich: {
+        label: 'Izhikevich',
+        unit: 'mV',
+        refractionPeriod: 0,
+        peakPotential: 30,
+        presets: IZHIKEVICH_PRESETS,
+        params: {
+            preset: 'regularSpiking',
+            ...IZHIKEVICH_PRESETS.regularSpiking.params
+        },
+        init(neuron) {
+            neuron.membranePotential = neuron.resetVoltage;
+            neuron.recoveryVariable = neuron.recoverySensitivity * neuron.membranePotential;
+        },
+        step(neuron, dt) {
+            const current = neuron.dcInput * IZHIKEVICH_INPUT_SCALE;
+
+            // Two half steps for v, as in Izhikevich's reference code, for numerical stability
+            const halfStep = dt / 2;
+            for (let i = 0; i < 2; i++) {
+                const v = neuron.membranePotential;
+                neuron.membranePotential += halfStep *
+                    (0.04 * v * v + 5 * v + 140 - neuron.recoveryVariable + current);
+            }
+            neuron.recoveryVariable += dt * neuron.recoveryRate *
+                (neuron.recoverySensitivity * neuron.membranePotential - neuron.recoveryVariable);
+
+            return neuron.membranePotential >= this.peakPotential;
+        },
+        receive(neuron, weight) {
+            neuron.membranePotential = Math.max(
+                neuron.membranePotential + weight * IZHIKEVICH_INPUT_SCALE,
+                this.floorValue(neuron)
+            );
+            return neuron.membranePotential >= this.peakPotential;
+        },
+        reset(neuron) {
+            neuron.membranePotential = neuron.resetVoltage;
+            neuron.recoveryVariable += neuron.resetRecovery;
+        },
+        potential: neuron => Math.min(neuron.membranePotential, 30),
+        thresholdValue: () => 30,
+        restValue: neuron => neuron.resetVoltage,
+        // Roughly the GABA-A reversal potential
+        floorValue: () => -80
+    },
+
+    // Fires at random with a fixed mean rate. Each neuron draws from its own seeded
+    // sequence, so a run can be repeated exactly.
+    poisson: {
+        ...SOURCE_DYNAMICS,
+        label: 'Poisson source',
+        params: {
+            rate: 10,   // spikes per second
+            seed: 1
+        },
+        init(neuron) {
+            neuron.randomSeed = neuron.seed;
+            neuron.random = createRandom(neuron.seed * 100003 + neuron.id);
+        },
+        step(neuron, dt) {
+            // An edited seed restarts the sequence from that seed
+            if (neuron.randomSeed !== neuron.seed) {
+                this.init(neuron);
+            }
+            return neuron.random() < 1 - Math.exp(-neuron.rate * dt / 1000);
+        }
+    },
+
+    // Fires on every beat, counted from simulated time zero plus the phase
+    metronome: {
+        ...SOURCE_DYNAMICS,
+        label: 'Metronome source',
+        params: {
+            bpm: 120,
+            phase: 0    // ms
+        },
+        step(neuron, dt, time) {
+            return crossesBeat(time, dt, 60000 / neuron.bpm, neuron.phase);
+        }
+    },
+
+    // Fires at listed times, repeating every loopLength ms (0 plays the list once)
+    pattern: {
+        ...SOURCE_DYNAMICS,
+        label: 'Spike pattern source',
+        params: {
+            spikeTimes: '0, 250, 500, 625',
+            loopLength: 1000
+        },
+        step(neuron, dt, time) {
+            if (neuron.parsedSpikeTimes?.text !== neuron.spikeTimes) {
+                neuron.parsedSpikeTimes = { text: neuron.spikeTimes, times: parseSpikeTimes(neuron.spikeTimes) };
+            }
+            const times = neuron.parsedSpikeTimes.times;
+            const loop = neuron.loopLength;
+
+            return times.some(spikeTime => loop > 0 ?
+                spikeTime < loop && crossesBeat(time, dt, loop, spikeTime) :
+                spikeTime >= time - dt && spikeTime < time);
+        }
+    },
+
+    // Step sequencer: one step every stepLength ms, firing on steps marked x, looping
+    sequencer: {
+        ...SOURCE_DYNAMICS,
+        label: 'Step sequencer source',
+        params: {
+            sequence: 'x...x...x.x.x...',
+            stepLength: 125     // ms, sixteenth notes at 120 BPM
+        },
+        step(neuron, dt, time) {
+            const length = neuron.sequence.length;
+            if (length === 0 || !crossesBeat(time, dt, neuron.stepLength)) return false;
+
+            const step = Math.ceil(Math.max(time - dt, 0) / neuron.stepLength) % length;
+            return neuron.sequence[step].toLowerCase() === 'x';
+        }
+    }
+};
@@ -0,0 +1,205 @@
+import { NEURON_MODELS } from './NeuronDynamics.js';
+import { STDP } from './Plasticity.js';
+import { ShortTermPlasticity } from './ShortTermPlasticity.js';
+
+// Neuron state and dynamics with no rendering, DOM or audio. The model type picks the
+// dynamics from NEURON_MODELS. All times are simulated milliseconds.
+export class NeuronModel {
+    // Id for the next neuron created without one; ids are never handed out twice
+    static nextId = 1;
+
+    constructor({ id, ...params } = {}) {
+        // Stable identity, used to key synapses and per-neuron sound
+        this.id = id ?? NeuronModel.nextId;
+        NeuronModel.nextId = Math.max(NeuronModel.nextId, this.id + 1);
+
+        // Constants shared by every model; refractionPeriod is the absolute refractory period,
+        // the model's own unless set explicitly
+        this.model = 'integrate';
+        this.refractionPeriod = this.dynamics.refractionPeriod;
+
+        // Parameters of every model, so switching back and forth keeps edits
+        Object.values(NEURON_MODELS).forEach(dynamics => Object.assign(this, dynamics.params));
+
+        // State
+        this.currentCharge = 0;
+        this.membranePotential = 0;
+        this.recoveryVariable = 0;
+        this.lastFiringTime = -Infinity;
+        this.isFiring = false;
+        this.dcInput = 0;
+
+        // Outgoing synapses keyed by target neuron id
+        this.outgoingConnections = new Set();
+        this.synapticWeights = new Map();
+        this.synapticSpeeds = new Map();
+        this.synapticTraces = new Map(); // STDP traces, see Plasticity.js
+        this.synapticPlasticity = new Map(); // short-term depression / facilitation
+
+        // Free slot for whatever wraps this model, e.g. the rendered Neuron
+        this.userData = {};
+
+        this.setParams(params);
+    }
+
+    get dynamics() {
+        return NEURON_MODELS[this.model];
+    }
+
+    setModel(model, refractionPeriod = NEURON_MODELS[model]?.refractionPeriod) {
+        if (!NEURON_MODELS[model]) {
+            throw new Error(`Unknown neuron model: ${model}`);
+        }
+        this.model = model;
+        this.refractionPeriod = refractionPeriod;
+        this.reset();
+    }
+
+    // Load a named parameter set of the current model, e.g. an Izhikevich firing pattern
+    applyPreset(name) {
+        const preset = this.dynamics.presets?.[name];
+        if (!preset) {
+            throw new Error(`Unknown ${this.model} preset: ${name}`);
+        }
+        Object.assign(this, preset.params);
+        this.preset = name;
+        this.reset();
+    }
+
+    // Model type, shared constants and the current model's parameters
+    getParams() {
+        const params = {
+            model: this.model,
+            refractionPeriod: this.refractionPeriod,
+            dcInput: this.dcInput
+        };
+        Object.keys(this.dynamics.params).forEach(key => {
+            params[key] = this[key];
+        });
+        return params;
+    }
+
+    setParams({ model, dcInput, refractionPeriod, ...params } = {}) {
+        const allowed = new Set();
+        Object.values(NEURON_MODELS).forEach(dynamics => {
+            Object.keys(dynamics.params).forEach(key => allowed.add(key));
+        });
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (allowed.has(key) && value !== undefined) {
+                this[key] = value;
+            }
+        });
+
+        if (dcInput !== undefined) {
+            this.setDCInput(dcInput);
+        }
+        // Switching model brings its default refractory period unless one is given
+        const nextModel = model ?? this.model;
+        this.setModel(nextModel, refractionPeriod ?? (nextModel === this.model ? this.refractionPeriod : undefined));
+    }
+
+    // Integrate one fixed step; returns true if the neuron fired
+    step(time, dt) {
+        if (this.isFiring && !this.isInRefractoryPeriod(time)) {
+            this.isFiring = false;
+        }
+
+        // Absolute refractory period: state is held at its reset value
+        if (this.isFiring) return false;
+
+        return this.dynamics.step(this, dt, time) && this.fire(time);
+    }
+
+    // Returns true if the added input made the neuron fire
+    addCharge(amount, time) {
+        if (this.isFiring || this.isInRefractoryPeriod(time)) return false;
+
+        return this.dynamics.receive(this, amount) && this.fire(time);
+    }
+
+    fire(time) {
+        if (this.isFiring || this.isInRefractoryPeriod(time)) return false;
+
+        this.isFiring = true;
+        this.lastFiringTime = time;
+        this.dynamics.reset(this);
+        return true;
+    }
+
+    // Membrane potential (or charge) in the model's units, for display
+    getPotential() {
+        return this.dynamics.potential(this);
+    }
+
+    getThresholdValue() {
+        return this.dynamics.thresholdValue(this);
+    }
+
+    // How far from rest toward threshold, 0 to 1
+    getChargeRatio() {
+        const rest = this.dynamics.restValue(this);
+        const ratio = (this.getPotential() - rest) / (this.getThresholdValue() - rest);
+        return Math.max(0, Math.min(1, ratio));
+    }
+
+    isInRefractoryPeriod(time) {
+        return (time - this.lastFiringTime) < this.refractionPeriod;
+    }
+
+    setDCInput(value) {
+        this.dcInput = Math.max(0, Math.round(value * 100) / 100);
+    }
+
+    reset() {
+        this.dynamics.init(this);
+        this.isFiring = false;
+        this.lastFiringTime = -Infinity;
+    }
+
+    // Connection management methods
+    addConnection(targetId, initialWeight = 0.1, initialSpeed = 0.5) {
+        this.outgoingConnections.add(targetId);
+        this.synapticWeights.set(targetId, initialWeight);
+        this.synapticSpeeds.set(targetId, initialSpeed);
+        this.synapticTraces.set(targetId, STDP.createTrace());
+        this.synapticPlasticity.set(targetId, new ShortTermPlasticity());
+    }
+
+    updateConnectionWeight(targetId, weight) {
+        if (this.outgoingConnections.has(targetId)) {
+            this.synapticWeights.set(targetId, weight);
+        }
+    }
+
+    updateConnectionSpeed(targetId, speed) {
+        if (this.outgoingConnections.has(targetId)) {
+            this.synapticSpeeds.set(targetId, speed);
+        }
+    }
+
+    setShortTermPlasticity(targetId, params) {
+        this.synapticPlasticity.get(targetId)?.setParams(params);
+    }
+
+    // Weight multiplier for a spike reaching the synapse onto targetId now
+    getSynapticEfficacy(targetId, time) {
+        return this.synapticPlasticity.get(targetId)?.release(time) ?? 1;
+    }
+
+    removeConnection(targetId) {
+        this.outgoingConnections.delete(targetId);
+        this.synapticWeights.delete(targetId);
+        this.synapticSpeeds.delete(targetId);
+        this.synapticTraces.delete(targetId);
+        this.synapticPlasticity.delete(targetId);
+    }
+
+    clearConnections() {
+        this.outgoingConnections.clear();
+        this.synapticWeights.clear();
+        this.synapticSpeeds.clear();
+        this.synapticTraces.clear();
+        this.synapticPlasticity.clear();
+    }
+}
@@ -0,0 +1,65 @@
+// Pair-based spike-timing-dependent plasticity with per-connection traces.
+// A spike arriving at a synapse bumps its pre trace and depresses the weight by the post
+// trace; the target firing bumps the post trace of every incoming synapse and potentiates
+// by its pre trace. Traces decay exponentially and are updated lazily, only when touched.
+// Only excitatory (non-negative) weights learn, and they stay within [0, maxWeight].
+export class STDP {
+    constructor({
+        enabled = false,
+        learningRate = 1,
+        aPlus = 0.01,
+        aMinus = 0.012,
+        tauPlus = 20,
+        tauMinus = 20,
+        maxWeight = 1
+    } = {}) {
+        this.enabled = enabled;
+        this.learningRate = learningRate;
+        this.aPlus = aPlus;
+        this.aMinus = aMinus;
+        this.tauPlus = tauPlus;
+        this.tauMinus = tauMinus;
+        this.maxWeight = maxWeight;
+    }
+
+    static createTrace() {
+        return { pre: 0, preTime: 0, post: 0, postTime: 0 };
+    }
+
+    decay(trace, time) {
+        trace.pre *= Math.exp(-(time - trace.preTime) / this.tauPlus);
+        trace.preTime = time;
+        trace.post *= Math.exp(-(time - trace.postTime) / this.tauMinus);
+        trace.postTime = time;
+    }
+
+    // A spike from source reached the synapse onto targetId; returns the new weight or null
+    onPreSpike(source, targetId, time) {
+        const weight = source.synapticWeights.get(targetId);
+        const trace = source.synapticTraces.get(targetId);
+        if (weight === undefined || !trace || weight < 0) return null;
+
+        this.decay(trace, time);
+        trace.pre += 1;
+
+        return this.setWeight(source, targetId, weight - this.learningRate * this.aMinus * trace.post);
+    }
+
+    // The neuron with targetId fired; returns the new weight or null
+    onPostSpike(source, targetId, time) {
+        const weight = source.synapticWeights.get(targetId);
+        const trace = source.synapticTraces.get(targetId);
+        if (weight === undefined || !trace || weight < 0) return null;
+
+        this.decay(trace, time);
+        trace.post += 1;
+
+        return this.setWeight(source, targetId, weight + this.learningRate * this.aPlus * trace.pre);
+    }
+
+    setWeight(source, targetId, weight) {
+        const clamped = Math.max(0, Math.min(this.maxWeight, weight));
+        source.synapticWeights.set(targetId, clamped);
+        return clamped;
+    }
+}
@@ -0,0 +1,68 @@
+// Tsodyks-Markram short-term plasticity for one synapse. Each spike first raises the
+// utilization u by U(1 - u), then uses that fraction of the available resources x.
+// Between spikes x recovers to 1 with tauRec and u decays to 0 with tauFacil.
+// A small U with a long tauFacil facilitates, a large U with a long tauRec depresses.
+// The returned efficacy is relative to a rested synapse, so a spike arriving at a fully
+// recovered synapse delivers the connection's static weight.
+
+// U is kept in (0, 1], at least the UI slider's minimum, since efficacy divides by it
+const MIN_U = 0.01;
+
+function clampU(U) {
+    return Number.isFinite(U) ? Math.min(1, Math.max(MIN_U, U)) : MIN_U;
+}
+
+export class ShortTermPlasticity {
+    constructor({ enabled = false, U = 0.5, tauRec = 800, tauFacil = 0 } = {}) {
+        this.enabled = enabled;
+        this.U = clampU(U);
+        this.tauRec = tauRec;
+        this.tauFacil = tauFacil;
+
+        this.reset();
+    }
+
+    reset() {
+        this.u = 0;
+        this.x = 1;
+        this.lastSpikeTime = null;
+    }
+
+    getParams() {
+        return {
+            enabled: this.enabled,
+            U: this.U,
+            tauRec: this.tauRec,
+            tauFacil: this.tauFacil
+        };
+    }
+
+    setParams(params = {}) {
+        ['enabled', 'U', 'tauRec', 'tauFacil'].forEach(key => {
+            if (params[key] !== undefined) {
+                this[key] = params[key];
+            }
+        });
+        this.U = clampU(this.U);
+        this.reset();
+    }
+
+    // A spike arrives at the synapse; returns the multiplier for its weight
+    release(time) {
+        if (!this.enabled) return 1;
+
+        if (this.lastSpikeTime !== null) {
+            const interval = time - this.lastSpikeTime;
+            this.u = this.tauFacil > 0 ? this.u * Math.exp(-interval / this.tauFacil) : 0;
+            this.x = 1 + (this.x - 1) * Math.exp(-interval / this.tauRec);
+        }
+        this.lastSpikeTime = time;
+
+        // Facilitate, then use resources
+        this.u += this.U * (1 - this.u);
+        const released = this.u * this.x;
+        this.x -= released;
+
+        return released / this.U;
+    }
+}
@@ -0,0 +1,162 @@
+// Binary min-heap of scheduled events ordered by time, ties broken by
+// scheduling order so runs are reproducible
+class EventQueue {
+    constructor() {
+        this.heap = [];
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(event) {
+        event.sequence = this.sequence++;
+        this.heap.push(event);
+        this.siftUp(this.heap.length - 1);
+        return event;
+    }
+
+    peek() {
+        return this.heap[0];
+    }
+
+    pop() {
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    // Remove all events matching the predicate, returning them
+    remove(predicate) {
+        const removed = this.heap.filter(predicate);
+        if (removed.length > 0) {
+            const kept = this.heap.filter(event => !predicate(event));
+            this.heap = [];
+            kept.forEach(event => {
+                this.heap.push(event);
+                this.siftUp(this.heap.length - 1);
+            });
+        }
+        return removed;
+    }
+
+    clear() {
+        this.heap = [];
+    }
+
+    forEach(callback) {
+        this.heap.forEach(callback);
+    }
+
+    before(a, b) {
+        return a.time < b.time || (a.time === b.time && a.sequence < b.sequence);
+    }
+
+    siftUp(index) {
+        const heap = this.heap;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(heap[index], heap[parent])) break;
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const heap = this.heap;
+        const length = heap.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.before(heap[left], heap[smallest])) smallest = left;
+            if (right < length && this.before(heap[right], heap[smallest])) smallest = right;
+            if (smallest === index) break;
+
+            [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+            index = smallest;
+        }
+    }
+}
+
+export class SimulationClock {
+    constructor({ dt = 1, maxStepsPerFrame = 250 } = {}) {
+        // Fixed step in simulated milliseconds
+        this.dt = dt;
+        this.maxStepsPerFrame = maxStepsPerFrame;
+
+        // State
+        this.time = 0;
+        this.accumulator = 0;
+        this.paused = false;
+        this.queue = new EventQueue();
+
+        // Hooks, set by the owner of the clock
+        this.onStep = null;     // (time, dt) => void, integrate all neurons
+        this.onEvent = null;    // (event) => void, deliver an arrived event
+    }
+
+    // Simulated time including the fraction of a step not yet taken, for smooth rendering
+    get renderTime() {
+        return this.time + this.accumulator;
+    }
+
+    // Advance by a real-time delta; extra steps beyond the per-frame cap are dropped so a
+    // throttled tab slows the simulation down instead of changing its results
+    advance(realDelta) {
+        if (this.paused || !(realDelta > 0)) return 0;
+
+        this.accumulator += realDelta;
+
+        let steps = 0;
+        while (this.accumulator >= this.dt && steps < this.maxStepsPerFrame) {
+            this.step();
+            this.accumulator -= this.dt;
+            steps++;
+        }
+
+        if (steps === this.maxStepsPerFrame) {
+            this.accumulator = Math.min(this.accumulator, this.dt);
+        }
+
+        return steps;
+    }
+
+    step() {
+        this.time += this.dt;
+
+        // Deliver everything that has arrived by now before integrating
+        while (this.queue.size > 0 && this.queue.peek().time <= this.time) {
+            const event = this.queue.pop();
+            this.onEvent?.(event);
+        }
+
+        this.onStep?.(this.time, this.dt);
+    }
+
+    schedule(time, event = {}) {
+        event.time = time;
+        event.emitTime = event.emitTime ?? this.time;
+        return this.queue.push(event);
+    }
+
+    cancel(predicate) {
+        return this.queue.remove(predicate);
+    }
+
+    forEachPending(callback) {
+        this.queue.forEach(callback);
+    }
+
+    reset() {
+        this.time = 0;
+        this.accumulator = 0;
+        this.queue.clear();
+    }
+}
@@ -0,0 +1,22 @@
+// Headless simulation core, importable from Node:
+//
+//   import { Network } from './src/core/index.js';
+//   const network = Network.fromDocument(JSON.parse(fs.readFileSync('patch.snn.json', 'utf8')));
+//   const spikeTrains = network.run(10); // spike times in ms per neuron
+export { Network } from './Network.js';
+export { NeuronModel } from './NeuronModel.js';
+export { SimulationClock } from './SimulationClock.js';
+export {
+    SCHEMA_VERSION,
+    registerMigration,
+    migrateDocument,
+    validateDocument,
+    readDocument
+} from './NetworkDocument.js';
+export {
+    GENERATOR_DEFAULTS,
+    NETWORK_GENERATORS,
+    generateNetwork
+} from './NetworkGenerators.js';
+export { createRandom } from './Random.js';
+export { GRAPH_LAYOUTS, circleLayout, computeLayout } from './GraphLayouts.js';
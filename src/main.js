@@ -1,11 +1,27 @@
 import * as THREE from 'three';
+import gsap from 'gsap';
 import Stats from 'three/examples/jsm/libs/stats.module';
 import { GUI } from 'three/examples/jsm/libs/lil-gui.module.min';
 import * as Tone from 'tone';  // Add Tone import
 import { Neuron } from './components/neuron.js';  // Note the .js extension
 import { InputManager } from './components/InputManager';
 import { ConnectionManager } from './components/ConnectionManager';
-import { SoundManager } from './components/SoundManager';
+import { SoundManager, QUANTIZE_GRIDS } from './components/SoundManager';
+import { Metronome } from './components/Metronome';
+import { MidiOutput, MOCK_PORT_ID } from './components/MidiOutput';
+import { NOTE_NAMES, SCALES, TUNINGS } from './components/Scales';
+import { INSTRUMENT_PRESETS, VOICE_STEALING } from './components/Instruments';
+import { NetworkSerializer } from './components/NetworkSerializer';
+import { NeuronInspector } from './components/NeuronInspector';
+import { RasterPlot } from './components/RasterPlot';
+import { Oscilloscope } from './components/Oscilloscope';
+import { EditHistory } from './components/EditHistory';
+import { SelectionManager } from './components/SelectionManager';
+import { CameraController } from './components/CameraController';
+import { GeneratorDialog } from './components/GeneratorDialog';
+import { Network } from './core/Network.js';
+import { NEURON_MODELS } from './core/NeuronDynamics.js';
+import { GRAPH_LAYOUTS, computeLayout } from './core/GraphLayouts.js';
 
 // Add start button styles
 const style = document.createElement('style');
@@ -41,12 +57,45 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
+// Three-neuron demo network loaded on start
+const INITIAL_NETWORK = {
+    format: 'snn',
+    version: 2,
+    neurons: [
+        { id: 1, position: { x: -3, z: -3 }, dcInput: 1.0 },    // Full DC
+        { id: 2, position: { x: 3, z: -3 }, dcInput: 0.5 },     // Half DC
+        { id: 3, position: { x: 0, z: 4 }, dcInput: 0.0 }       // No DC
+    ],
+    connections: [
+        { from: 1, to: 2, weight: 0.2, speed: 0.5 },
+        { from: 2, to: 3, weight: 0.2, speed: 0.5 },
+        { from: 3, to: 1, weight: 0.2, speed: 0.7 }
+    ]
+};
+
 // Pre-create reusable objects
 const vector3 = new THREE.Vector3();
 const labelCache = new Map();
 let lastFrameTime = 0;
+let lastSimulationTime = null;
 const frameInterval = 1000 / 240; // Target 240 FPS
 
+// Headless network stepped on a fixed clock; neurons integrate and spikes arrive on
+// simulated time, not the frame rate. Its neurons mirror window.circles, and synapses
+// refer to their targets by neuron id.
+const network = new Network({ dt: 1 });
+network.on('spike', (model, time, events) => {
+    model.userData.neuron?.onFire(time, events);
+});
+network.on('weight', (source, targetId, weight) => {
+    const sourceCircle = source.userData.neuron?.mesh;
+    const targetCircle = network.getNeuron(targetId)?.userData.neuron?.mesh;
+    if (sourceCircle && targetCircle) {
+        connectionManager.syncConnectionWeight(sourceCircle, targetCircle, weight);
+    }
+});
+window.network = network;
+
 // Initialize basic scene setup with optimized settings
 const scene = new THREE.Scene();
 scene.matrixAutoUpdate = false; // Disable automatic matrix updates
@@ -153,23 +202,70 @@ document.body.appendChild(startButtonContainer);
 
 
 
+// Undo/redo for edits made through the GUI, mouse, touch and keyboard
+const editHistory = new EditHistory();
+window.editHistory = editHistory;
+
 // Basic controls object
 window.settings = {
+    // User actions, recorded for undo
     addNeuron: (position = null) => {
-        const neuron = createNewNeuron(position);
-        window.circles.push(neuron);
-        scene.add(neuron);
-        return neuron;
+        const circle = addNeuron(position);
+        recordNeuronAdded(circle);
+        return circle;
+    },
+
+    // An input source: a neuron whose model fires on a schedule, e.g. 'poisson'
+    addSource: (model, position = null) => {
+        const circle = addNeuron(position);
+        circle.neuron.core.setModel(model);
+        recordNeuronAdded(circle);
+        neuronInspector.setNeuron(circle);
+        return circle;
     },
 
+    deleteNeuron: (circle = neuronInspector.circle) => {
+        if (!circle?.neuron) return;
+
+        const id = circle.neuron.id;
+        const snapshot = networkSerializer.snapshotNeuron(circle);
+        deleteNeuron(circle);
+
+        editHistory.push({
+            label: 'Delete neuron',
+            undo: () => networkSerializer.restoreNeuron(snapshot),
+            redo: () => deleteNeuron(connectionManager.findCircle(id))
+        });
+    },
+
+    deleteSelection: () => deleteSelection(),
+    copySelection: () => copySelection(),
+    paste: (text, position) => pasteNetwork(text, position),
+
+    undo: () => editHistory.undo(),
+    redo: () => editHistory.redo(),
+
     volume: -12,
     selectedWeight: 0.5,
     selectedSpeed: 0.5,
+    selectedShortTerm: false,
+    selectedU: 0.5,
+    selectedTauRec: 800,
+    selectedTauFacil: 0,
     selectedConnection: null
 };
 
 // Create basic GUI without folders
 gui.add(window.settings, 'addNeuron').name('Add Neuron');
+const undoController = gui.add(window.settings, 'undo').name('Undo');
+const redoController = gui.add(window.settings, 'redo').name('Redo');
+
+const updateHistoryControls = () => {
+    undoController.enable(editHistory.canUndo);
+    redoController.enable(editHistory.canRedo);
+};
+editHistory.onChange(updateHistoryControls);
+updateHistoryControls();
 
 // Add volume slider
 gui.add(window.settings, 'volume', -48, 6, 1)
@@ -181,7 +277,7 @@ gui.add(window.settings, 'volume', -48, 6, 1)
     });
 
 // Add connection controls
-gui.add(window.settings, 'selectedWeight', 0, 1, 0.01)
+gui.add(window.settings, 'selectedWeight', -1, 1, 0.01)
     .name('Weight / Sustain')
     .listen()
     .onChange((value) => {
@@ -199,17 +295,346 @@ gui.add(window.settings, 'selectedSpeed', 0, 1, 0.01)
         }
     });
 
-// Initialize managers
-const connectionManager = new ConnectionManager(scene, camera, renderer);
-const inputManager = new InputManager(camera, renderer, connectionManager);
+// Short-term synaptic depression / facilitation of the selected connection
+gui.add(window.settings, 'selectedShortTerm')
+    .name('Short-term Plasticity')
+    .listen()
+    .onChange((enabled) => {
+        connectionManager?.updateShortTermPlasticity({ enabled });
+    });
+
+gui.add(window.settings, 'selectedU', 0.01, 1, 0.01)
+    .name('U / Utilization')
+    .listen()
+    .onChange((U) => {
+        connectionManager?.updateShortTermPlasticity({ U });
+    });
+
+gui.add(window.settings, 'selectedTauRec', 1, 2000, 1)
+    .name('Recovery (ms)')
+    .listen()
+    .onChange((tauRec) => {
+        connectionManager?.updateShortTermPlasticity({ tauRec });
+    });
 
-// Initialize SoundManager here
+gui.add(window.settings, 'selectedTauFacil', 0, 2000, 1)
+    .name('Facilitation (ms)')
+    .listen()
+    .onChange((tauFacil) => {
+        connectionManager?.updateShortTermPlasticity({ tauFacil });
+    });
+
+// Initialize managers; one SoundManager plays every neuron
 window.soundManager = new SoundManager();
+const connectionManager = new ConnectionManager(scene, camera, renderer, window.soundManager);
+const inputManager = new InputManager(camera, renderer, connectionManager);
+const networkSerializer = new NetworkSerializer(connectionManager, {
+    createNeuron: (position, id) => addNeuron(position, id),
+    clearNetwork: () => clearNetwork()
+});
+
+// Pan and zoom; connections are only recomputed near the view, so refresh them when it moves
+const cameraController = new CameraController(camera, renderer);
+window.cameraController = cameraController;
+cameraController.onChange(() => {
+    connectionManager.needsUpdate = true;
+});
+
+const viewSettings = {
+    zoomToFit: () => cameraController.zoomToFit(),
+    zoomToSelection: () => cameraController.zoomToSelection(),
+    reset: () => cameraController.reset()
+};
+
+const viewFolder = gui.addFolder('View');
+viewFolder.add(viewSettings, 'zoomToFit').name('Zoom to Fit');
+viewFolder.add(viewSettings, 'zoomToSelection').name('Zoom to Selection');
+viewFolder.add(viewSettings, 'reset').name('Reset View');
+
+// Layouts rearrange the selected neurons, or all of them when fewer than two are selected
+const layoutActions = {};
+Object.entries(GRAPH_LAYOUTS).forEach(([type, layout]) => {
+    layoutActions[type] = () => applyLayout(type);
+    viewFolder.add(layoutActions, type).name(`${layout.label} Layout`);
+});
+viewFolder.close();
+
+// Shift-click and shift-drag selection, edited as a group
+const selectionManager = new SelectionManager(camera, renderer, connectionManager);
+window.selectionManager = selectionManager;
+editHistory.onChange(() => selectionManager.prune());
+
+const selectionSettings = {
+    summary: 'Nothing selected',
+    dcInput: 0,
+    weight: 0.5,
+    speed: 0.5,
+    selectAll: () => selectionManager.selectAll(),
+    clear: () => selectionManager.clear(),
+    duplicate: () => duplicateSelection(),
+    remove: () => deleteSelection(),
+    copy: () => {
+        const text = copySelection();
+        if (text) navigator.clipboard?.writeText(text).catch(() => {});
+    },
+    paste: async () => {
+        const text = await navigator.clipboard?.readText().catch(() => null);
+        pasteNetwork(text || copiedNetwork);
+    }
+};
+
+const selectionFolder = gui.addFolder('Selection');
+selectionFolder.add(selectionSettings, 'summary').name('Selected').listen().disable();
+selectionFolder.add(selectionSettings, 'selectAll').name('Select All');
+selectionFolder.add(selectionSettings, 'clear').name('Clear Selection');
+selectionFolder.add(selectionSettings, 'copy').name('Copy');
+selectionFolder.add(selectionSettings, 'paste').name('Paste');
+selectionFolder.add(selectionSettings, 'duplicate').name('Duplicate');
+selectionFolder.add(selectionSettings, 'remove').name('Delete');
+selectionFolder.add(selectionSettings, 'dcInput', 0, 1, 0.01)
+    .name('DC Input')
+    .listen()
+    .onChange(value => setSelectionDCInput(value));
+selectionFolder.add(selectionSettings, 'weight', -1, 1, 0.01)
+    .name('Weight')
+    .listen()
+    .onChange(value => setSelectionConnectionProperty('weight', value));
+selectionFolder.add(selectionSettings, 'speed', 0, 1, 0.01)
+    .name('Speed')
+    .listen()
+    .onChange(value => setSelectionConnectionProperty('speed', value));
+selectionFolder.close();
+
+// Show the selection's average values on the group sliders
+const average = (items, value) => items.reduce((sum, item) => sum + value(item), 0) / items.length;
+selectionManager.onChange(() => {
+    const neurons = Array.from(selectionManager.neurons);
+    const connections = Array.from(selectionManager.connections);
+
+    selectionSettings.summary = selectionManager.size === 0 ? 'Nothing selected' :
+        `${neurons.length} neurons, ${connections.length} connections`;
+    if (neurons.length > 0) {
+        selectionSettings.dcInput = average(neurons, circle => circle.neuron.dcInput);
+    }
+    if (connections.length > 0) {
+        selectionSettings.weight = average(connections, connection => connection.weight);
+        selectionSettings.speed = average(connections, connection => connection.speed);
+    }
+});
+
+// Spike-timing-dependent plasticity
+const plasticityFolder = gui.addFolder('Plasticity');
+plasticityFolder.add(network.plasticity, 'enabled').name('Plasticity');
+plasticityFolder.add(network.plasticity, 'learningRate', 0, 5, 0.1).name('Learning Rate');
+plasticityFolder.add(network.plasticity, 'aPlus', 0, 0.1, 0.001).name('A+');
+plasticityFolder.add(network.plasticity, 'aMinus', 0, 0.1, 0.001).name('A-');
+plasticityFolder.add(network.plasticity, 'tauPlus', 1, 100, 1).name('Tau+ (ms)');
+plasticityFolder.add(network.plasticity, 'tauMinus', 1, 100, 1).name('Tau- (ms)');
+plasticityFolder.close();
+
+// Potential traces of neurons pinned from the inspector
+const oscilloscope = new Oscilloscope(network);
+window.oscilloscope = oscilloscope;
+
+// Per-neuron model and parameters
+const neuronInspector = new NeuronInspector(gui, { oscilloscope });
+window.neuronInspector = neuronInspector;
+
+// Spike raster and firing rates; clicking a row highlights and inspects that neuron
+const rasterPlot = new RasterPlot(network, {
+    onSelect: (model) => {
+        neuronInspector.setNeuron(model?.userData.neuron?.mesh ?? null);
+    }
+});
+window.rasterPlot = rasterPlot;
+
+// Save / load controls
+const fileFolder = gui.addFolder('Network File');
+const fileActions = {
+    save: () => {
+        networkSerializer.saveToStorage();
+    },
+    load: () => {
+        try {
+            networkSerializer.loadFromStorage();
+        } catch (error) {
+            console.warn('Error loading network:', error);
+        }
+    },
+    exportFile: () => {
+        networkSerializer.exportFile();
+    },
+    importFile: () => {
+        networkSerializer.importFile().catch(error => {
+            console.warn('Error importing network:', error);
+        });
+    }
+};
+fileFolder.add(fileActions, 'save').name('Save');
+fileFolder.add(fileActions, 'load').name('Load');
+fileFolder.add(fileActions, 'exportFile').name('Export File');
+fileFolder.add(fileActions, 'importFile').name('Import File');
+fileFolder.close();
+
+// Networks built from templates, either replacing the current one like loading a file
+// or added beside it as one undoable step
+const generatorDialog = new GeneratorDialog({
+    onGenerate: (doc, replace) => {
+        if (replace) {
+            networkSerializer.deserialize(doc);
+        } else {
+            insertFragment(doc, getFreeSpaceOffset(doc), 'Generate network');
+        }
+        cameraController.zoomToFit();
+    }
+});
+fileFolder.add(generatorDialog, 'open').name('Generate...');
+
+// Poisson, metronome, pattern and sequencer sources drive neurons through connections
+const sourcesFolder = gui.addFolder('Input Sources');
+const sourceActions = {};
+Object.entries(NEURON_MODELS)
+    .filter(([, dynamics]) => dynamics.source)
+    .forEach(([model, dynamics]) => {
+        sourceActions[model] = () => window.settings.addSource(model);
+        sourcesFolder.add(sourceActions, model).name(`Add ${dynamics.label}`);
+    });
+sourcesFolder.close();
+
+// Key, scale and tuning of the notes neurons play
+const tuningSettings = { ...window.soundManager.tuning };
+const setTuning = key => value => window.soundManager.setTuning({ [key]: value });
+const labelledOptions = options => Object.fromEntries(
+    Object.entries(options).map(([key, option]) => [option.label, key]));
+
+const tuningFolder = gui.addFolder('Scale & Tuning');
+tuningFolder.add(tuningSettings, 'root', NOTE_NAMES).name('Root').onChange(setTuning('root'));
+tuningFolder.add(tuningSettings, 'scale', labelledOptions(SCALES)).name('Scale').onChange(setTuning('scale'));
+tuningFolder.add(tuningSettings, 'customScale').name('Custom Scale (semitones)').onFinishChange(setTuning('customScale'));
+tuningFolder.add(tuningSettings, 'tuning', labelledOptions(TUNINGS)).name('Tuning').onChange(setTuning('tuning'));
+tuningFolder.add(tuningSettings, 'customCents').name('Custom Cents (12 values)').onFinishChange(setTuning('customCents'));
+tuningFolder.add(tuningSettings, 'lowestOctave', 0, 7, 1).name('Lowest Octave').onChange(setTuning('lowestOctave'));
+tuningFolder.add(tuningSettings, 'octaves', 1, 6, 1).name('Octaves').onChange(setTuning('octaves'));
+tuningFolder.close();
+
+// Local audio file for the Sample instrument, played at its recorded pitch for the root
+const sampleSettings = {
+    rootNote: 'C4',
+    file: 'none',
+    load: () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*';
+        input.addEventListener('change', () => {
+            const file = input.files?.[0];
+            if (!file) return;
+            window.soundManager.loadSample(file, sampleSettings.rootNote)
+                .then(() => {
+                    sampleSettings.file = file.name;
+                })
+                .catch(error => {
+                    console.warn('Error loading sample:', error);
+                });
+        });
+        input.click();
+    }
+};
+const sampleNotes = [3, 4, 5].flatMap(octave => NOTE_NAMES.map(note => `${note}${octave}`));
+
+const sampleFolder = gui.addFolder('Sample Instrument');
+sampleFolder.add(sampleSettings, 'rootNote', sampleNotes)
+    .name('Sample Root Note')
+    .onChange(rootNote => window.soundManager.setSampleRoot(rootNote));
+sampleFolder.add(sampleSettings, 'load').name('Load Sample...');
+sampleFolder.add(sampleSettings, 'file').name('Loaded').disable().listen();
+sampleFolder.close();
+
+// Voices per instrument, and which sounding note gives way when an instrument runs out
+const polyphonySettings = { stealing: window.soundManager.stealing };
+Object.keys(INSTRUMENT_PRESETS).forEach(instrument => {
+    polyphonySettings[instrument] = window.soundManager.getPolyphony(instrument);
+});
+
+const polyphonyFolder = gui.addFolder('Polyphony');
+polyphonyFolder.add(polyphonySettings, 'stealing', labelledOptions(VOICE_STEALING))
+    .name('Voice Stealing')
+    .onChange(stealing => window.soundManager.setVoiceStealing(stealing));
+Object.entries(INSTRUMENT_PRESETS).forEach(([instrument, preset]) => {
+    polyphonyFolder.add(polyphonySettings, instrument, 1, 32, 1)
+        .name(`${preset.label} Voices`)
+        .onChange(count => window.soundManager.setPolyphony(instrument, count));
+});
+polyphonyFolder.close();
+
+// Snap note onsets to a tempo grid; the metronome shows the beat while quantizing
+const metronome = new Metronome();
+const tempoSettings = { ...window.soundManager.quantize, showMetronome: true };
+const updateMetronome = () => {
+    if (tempoSettings.enabled && tempoSettings.showMetronome) {
+        metronome.start();
+        metronome.setBpm(tempoSettings.bpm);
+    } else {
+        metronome.stop();
+    }
+};
+const setQuantize = key => value => {
+    // Stopping the transport clears the metronome's beats, so stop it first
+    if (key === 'enabled' && !value) metronome.stop();
+    window.soundManager.setQuantize({ [key]: value });
+    updateMetronome();
+};
+
+const tempoFolder = gui.addFolder('Tempo');
+tempoFolder.add(tempoSettings, 'enabled').name('Quantize Notes').onChange(setQuantize('enabled'));
+tempoFolder.add(tempoSettings, 'grid', labelledOptions(QUANTIZE_GRIDS)).name('Grid').onChange(setQuantize('grid'));
+tempoFolder.add(tempoSettings, 'bpm', 30, 300, 1).name('BPM').onChange(setQuantize('bpm'));
+tempoFolder.add(tempoSettings, 'swing', 0, 1, 0.01).name('Swing').onChange(setQuantize('swing'));
+tempoFolder.add(tempoSettings, 'showMetronome').name('Show Metronome').onChange(updateMetronome);
+tempoFolder.close();
+
+// MIDI notes for every spike, to a device or, in test mode, to a mock port that keeps
+// the messages in midiOutput.mockPort.messages
+const midiOutput = new MidiOutput(network);
+window.midiOutput = midiOutput;
+
+const midiSettings = {
+    enabled: false,
+    device: MOCK_PORT_ID,
+    findDevices: () => {
+        midiOutput.requestAccess().catch(error => {
+            console.warn('Error requesting MIDI access:', error);
+        });
+    },
+    allNotesOff: () => midiOutput.allNotesOff()
+};
+const midiDevices = () => Object.fromEntries(
+    midiOutput.getDevices().map(({ id, name }) => [name, id]));
+
+const midiFolder = gui.addFolder('MIDI Output');
+midiFolder.add(midiSettings, 'enabled').name('Send MIDI').onChange(enabled => midiOutput.setEnabled(enabled));
+let midiDeviceController = midiFolder.add(midiSettings, 'device', midiDevices())
+    .name('Device')
+    .onChange(id => midiOutput.setDevice(id));
+midiFolder.add(midiSettings, 'findDevices').name('Find Devices');
+midiFolder.add(midiSettings, 'allNotesOff').name('All Notes Off');
+midiFolder.add(midiOutput, 'lastMessage').name('Last Message').disable().listen();
+midiFolder.close();
+
+// Devices come and go once access is granted; a device that disappeared falls back to
+// the mock port
+midiOutput.onChange(() => {
+    const devices = midiOutput.getDevices();
+    if (!devices.some(({ id }) => id === midiSettings.device)) {
+        midiSettings.device = MOCK_PORT_ID;
+        midiOutput.setDevice(MOCK_PORT_ID);
+    }
+    midiDeviceController = midiDeviceController.options(midiDevices())
+        .onChange(id => midiOutput.setDevice(id));
+});
 
 
 // Optimized neuron creation
-// Optimized neuron creation
-function createNewNeuron(position = null, dcInput = null) {
+function createNewNeuron(position = null, id = undefined) {
     const circle = new THREE.Mesh(circleGeometry, neuronMaterial.clone());
     circle.rotation.x = -Math.PI / 2;
     
@@ -226,7 +651,7 @@ function createNewNeuron(position = null, dcInput = null) {
     circle.scale.setScalar(0.2);
     circle.matrixAutoUpdate = true;
     
-    const neuron = new Neuron(circle);
+    const neuron = new Neuron(circle, { id });
     circle.neuron = neuron;
     
     // Play an initial note when the neuron is created
@@ -238,23 +663,12 @@ function createNewNeuron(position = null, dcInput = null) {
                 0.7,  // faster speed
                 neuron.id,
                 true, // isolated
-                dcInput > 0, // hasDC
+                false, // hasDC
                 0 // no distance
             );
         }, 100);
     }
     
-    if (dcInput !== null) {
-        neuron.dcInput = dcInput;
-        neuron.currentCharge = dcInput;
-        
-        if (dcInput === 1.0) {
-            setTimeout(() => {
-                neuron.fire();
-            }, 200);
-        }
-    }
-    
     requestAnimationFrame(() => {
         if (window.updateChargeLabel) {
             window.updateChargeLabel(circle);
@@ -265,7 +679,7 @@ function createNewNeuron(position = null, dcInput = null) {
 }
 
 function updateChargeLabel(circle) {
-    if (!circle || !circle.neuron) return;
+    if (!circle || !circle.neuron || !circle.parent) return;
 
     try {
         if (!circle.chargeLabel) {
@@ -275,13 +689,19 @@ function updateChargeLabel(circle) {
             document.body.appendChild(circle.chargeLabel);
         }
 
+        const core = circle.neuron.core;
         const dcInput = circle.neuron?.dcInput ?? 0;
-        const charge = circle.neuron?.currentCharge ?? 0;
         const env = circle.neuron?.currentEnvelope ?? { attack: 0, sustain: 0, release: 0 };
         
+        // Charge for integrate-and-fire, membrane potential in model units otherwise
+        const unit = core.dynamics.unit;
+        const potential = unit
+            ? `V: ${core.getPotential().toFixed(1)} ${unit}`
+            : `C: ${core.getPotential().toFixed(2)}`;
+        
         // Remove the neuron ID from the label content
         const content = `DC: ${dcInput.toFixed(2)}<br>` +
-                        `C: ${charge.toFixed(2)}<br>` +
+                        `${potential}<br>` +
                         `A: ${env.attack}<br>` +
                         `S: ${env.sustain}<br>` +
                         `R: ${env.release}`;
@@ -310,7 +730,7 @@ function updateLabelPosition(circle) {
     const scale = circle.scale.x;
     const normalizedScale = Math.sqrt(scale / 0.2);
     const zoomFactor = frustumSize / 20;
-    const adjustedOffset = LABEL_SETTINGS.baseOffset * normalizedScale / zoomFactor;
+    const adjustedOffset = LABEL_SETTINGS.baseOffset * normalizedScale * camera.zoom / zoomFactor;
 
     circle.chargeLabel.style.left = `${x}px`;
     circle.chargeLabel.style.top = `${y - adjustedOffset}px`;
@@ -326,64 +746,245 @@ function animate(currentTime) {
 
     stats.begin();
 
+    if (lastSimulationTime !== null) {
+        network.advance(currentTime - lastSimulationTime);
+    }
+    lastSimulationTime = currentTime;
+
+    const renderTime = network.clock.renderTime;
     for (let i = 0; i < window.circles.length; i++) {
         const circle = window.circles[i];
         if (circle && circle.neuron) {
+            circle.neuron.updateVisualState();
+            circle.neuron.updateParticles(renderTime);
             updateChargeLabel(circle);
         }
     }
     
     connectionManager.updateAllConnections();
+    rasterPlot.update(currentTime);
+    oscilloscope.update(currentTime);
     renderer.render(scene, camera);
 
     stats.end();
 }
 
 function setupInitialNetwork() {
-    const initialSetup = [
-        { position: { x: -3, z: -3 }, dc: 1.0 },    // Full DC
-        { position: { x: 3, z: -3 }, dc: 0.5 },     // Half DC
-        { position: { x: 0, z: 4 }, dc: 0.0 }       // No DC
-    ];
-
-    const connections = [
-        { from: 0, to: 1, weight: 0.2, speed: 0.5 },  // Changed weights to 0.2
-        { from: 1, to: 2, weight: 0.2, speed: 0.5 },
-        { from: 2, to: 0, weight: 0.2, speed: 0.7 }
-    ];
+    networkSerializer.deserialize(INITIAL_NETWORK);
+}
 
-    initialSetup.forEach(setup => {
-        const neuron = createNewNeuron(setup.position, 0); // Start with 0 DC
-        window.circles.push(neuron);
-        scene.add(neuron);
+// Record a neuron the user added. It is snapshotted on undo, so later moves and edits
+// come back with a redo.
+function recordNeuronAdded(circle) {
+    const id = circle.neuron.id;
+    let snapshot = null;
+
+    editHistory.push({
+        label: 'Add neuron',
+        undo: () => {
+            const current = connectionManager.findCircle(id);
+            snapshot = networkSerializer.snapshotNeuron(current);
+            deleteNeuron(current);
+        },
+        redo: () => networkSerializer.restoreNeuron(snapshot)
     });
+}
 
-    setTimeout(() => {
-        // Set DC inputs using the proper method
-        window.circles.forEach((circle, index) => {
-            if (circle.neuron) {
-                circle.neuron.setDCInput(initialSetup[index].dc);
-            }
-        });
+function setSelectionDCInput(value) {
+    selectionManager.prune();
 
+    editHistory.begin('Change DC input', 'selection:dc');
+    selectionManager.neurons.forEach(circle => circle.neuron.changeDCInput(value));
+    editHistory.end();
+}
 
-        connections.forEach(({ from, to, weight, speed }) => {
-            const connection = connectionManager.createConnection(
-                window.circles[from],
-                window.circles[to]
-            );
+function setSelectionConnectionProperty(property, value) {
+    selectionManager.prune();
+
+    editHistory.begin(`Change ${property}`, `selection:${property}`);
+    selectionManager.connections.forEach(connection => {
+        const before = connection[property];
+        connectionManager.setConnectionProperty(connection, property, value);
+        connectionManager.recordPropertyChange(connection, property, before);
+    });
+    editHistory.end();
+}
+
+function deleteSelection() {
+    selectionManager.prune();
+    const circles = Array.from(selectionManager.neurons);
+    const connections = Array.from(selectionManager.connections);
+    selectionManager.clear();
+
+    // Explicitly selected connections first, so the neuron snapshots don't include them
+    editHistory.begin('Delete selection');
+    connections.forEach(connection => connectionManager.deleteConnection(connection));
+    circles.forEach(circle => window.settings.deleteNeuron(circle));
+    editHistory.end();
+}
+
+// Add a fragment's neurons and connections as one undoable step and select them
+function insertFragment(fragment, offset, label) {
+    const copies = networkSerializer.insertFragment(fragment, offset);
+
+    editHistory.begin(label);
+    copies.forEach(recordNeuronAdded);
+    editHistory.end();
+
+    selectionManager.set(copies);
+    return copies;
+}
+
+// Copy the selected neurons and the connections among them next to the originals
+function duplicateSelection() {
+    selectionManager.prune();
+    const circles = Array.from(selectionManager.neurons);
+    if (circles.length === 0) return;
+
+    insertFragment(networkSerializer.serializeFragment(circles), { x: 1.5, z: 1.5 }, 'Duplicate');
+}
 
-            if (connection) {
-                const connectionData = connectionManager.connections.get(connection);
-                if (connectionData) {
-                    connectionData.weight = weight;
-                    connectionData.speed = speed;
-                    window.circles[from].neuron.updateConnectionWeight(to, weight);
-                    window.circles[from].neuron.updateConnectionSpeed(to, speed);
-                }
+// Last copied selection, for pasting when the system clipboard can't be read
+let copiedNetwork = null;
+
+// Clipboard text for the selected neurons and the connections among them
+function copySelection() {
+    selectionManager.prune();
+    const circles = Array.from(selectionManager.neurons);
+    if (circles.length === 0) return null;
+
+    copiedNetwork = networkSerializer.fragmentToJSON(circles);
+    return copiedNetwork;
+}
+
+// Paste copied neurons centred on position, or next to where they were copied from
+function pasteNetwork(text = copiedNetwork, position = null) {
+    if (!text) return [];
+
+    let fragment;
+    try {
+        fragment = networkSerializer.fragmentFromJSON(text);
+    } catch (error) {
+        console.warn('Clipboard does not contain a network:', error);
+        return [];
+    }
+    if (fragment.neurons.length === 0) return [];
+
+    let offset = { x: 1.5, z: 1.5 };
+    if (position) {
+        const count = fragment.neurons.length;
+        const centerX = fragment.neurons.reduce((sum, neuron) => sum + neuron.position.x, 0) / count;
+        const centerZ = fragment.neurons.reduce((sum, neuron) => sum + neuron.position.z, 0) / count;
+        offset = { x: position.x - centerX, z: position.z - centerZ };
+    }
+
+    return insertFragment(fragment, offset, 'Paste');
+}
+
+// Animate neurons to a graph layout, recorded as one undoable move
+function applyLayout(type) {
+    selectionManager.prune();
+    const circles = selectionManager.neurons.size > 1 ?
+        Array.from(selectionManager.neurons) : [...window.circles];
+    if (circles.length === 0) return;
+
+    const included = new Set(circles);
+    const edges = [];
+    connectionManager.connections.forEach(connection => {
+        if (included.has(connection.source) && included.has(connection.target)) {
+            edges.push({ from: connection.source.neuron.id, to: connection.target.neuron.id });
+        }
+    });
+
+    const nodes = circles.map(circle => ({ id: circle.neuron.id, x: circle.position.x, z: circle.position.z }));
+    const positions = computeLayout(type, nodes, edges);
+
+    editHistory.begin('Apply layout');
+    circles.forEach(circle => {
+        const start = circle.position.clone();
+        const { x, z } = positions.get(circle.neuron.id);
+
+        gsap.killTweensOf(circle.position);
+        gsap.to(circle.position, {
+            x,
+            z,
+            duration: 0.8,
+            ease: 'power2.inOut',
+            onUpdate: () => {
+                connectionManager.needsUpdate = true;
+            },
+            onComplete: () => {
+                connectionManager.needsUpdate = true;
+                connectionManager.updateAllConnections();
             }
         });
-    }, 100);
+        inputManager.recordMove(circle, start, new THREE.Vector3(x, start.y, z));
+    });
+    editHistory.end();
+}
+
+// Offset that places a document's neurons to the right of the current network
+function getFreeSpaceOffset(doc, gap = 3) {
+    if (window.circles.length === 0) return { x: 0, z: 0 };
+
+    const right = Math.max(...window.circles.map(circle => circle.position.x));
+    const left = Math.min(...doc.neurons.map(neuron => neuron.position.x));
+    return { x: right - left + gap, z: 0 };
+}
+
+function addNeuron(position = null, id = undefined) {
+    const circle = createNewNeuron(position, id);
+    window.circles.push(circle);
+    network.addNeuron(circle.neuron.core);
+    scene.add(circle);
+    return circle;
+}
+
+// Remove a neuron with its connections, spikes in flight, label and sound state
+function deleteNeuron(circle) {
+    const neuron = circle?.neuron;
+    if (!neuron) return;
+
+    if (neuronInspector.circle === circle) {
+        neuronInspector.setNeuron(null);
+    }
+    selectionManager.removeNeuron(circle);
+    if (rasterPlot.highlighted === neuron.core) {
+        rasterPlot.setHighlighted(null);
+    }
+    oscilloscope.unpin(neuron.core);
+    connectionManager.removeNeuronConnections(circle);
+
+    // Spikes still travelling to it disappear together with their particles
+    network.removeNeuron(neuron.core).forEach(event => {
+        event.source.userData.neuron?.removeParticle(event);
+    });
+
+    neuron.cleanup();
+    scene.remove(circle);
+    circle.material.dispose();
+    window.circles.splice(window.circles.indexOf(circle), 1);
+    window.soundManager?.releaseNeuron(neuron.id);
+    window.midiOutput?.releaseNeuron(neuron.id);
+}
+
+function clearNetwork() {
+    selectionManager.clear();
+    connectionManager.clear();
+    neuronInspector.setNeuron(null);
+
+    window.circles.forEach(circle => {
+        window.soundManager?.releaseNeuron(circle.neuron?.id);
+        window.midiOutput?.releaseNeuron(circle.neuron?.id);
+        circle.neuron?.cleanup();
+        scene.remove(circle);
+        circle.material.dispose();
+    });
+    window.circles.length = 0;
+    network.clear();
+    rasterPlot.clear();
+    oscilloscope.clear();
+    editHistory.clear();
 }
 
 // Optimized resize handler
@@ -404,6 +1005,7 @@ window.addEventListener('resize', resizeHandler, false);
 window.updateChargeLabel = updateChargeLabel;
 window.scene = scene;
 window.THREE = THREE;
+window.networkSerializer = networkSerializer;
 
 // Start animation
 animate();
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditHistory } from '../../src/components/EditHistory.js';
+
+// A value edited through the history, recording each change as the app does
+function createEditor(history) {
+    const state = { value: 0 };
+    const set = (value, key) => {
+        const before = state.value;
+        state.value = value;
+        history.push({
+            label: 'Set value',
+            key,
+            undo: () => { state.value = before; },
+            redo: () => { state.value = value; }
+        });
+    };
+    return { state, set };
+}
+
+test('undo restores the previous value and redo applies it again', () => {
+    const history = new EditHistory();
+    const { state, set } = createEditor(history);
+
+    set(1);
+    set(2);
+    history.undo();
+    assert.equal(state.value, 1);
+    assert.ok(history.canRedo);
+
+    history.redo();
+    assert.equal(state.value, 2);
+    assert.ok(!history.canRedo);
+
+    history.undo();
+    history.undo();
+    assert.equal(state.value, 0);
+    assert.ok(!history.canUndo);
+});
+
+test('a new edit clears the redo stack', () => {
+    const history = new EditHistory();
+    const { state, set } = createEditor(history);
+
+    set(1);
+    set(2);
+    history.undo();
+    set(3);
+    assert.ok(!history.canRedo);
+
+    history.redo();
+    assert.equal(state.value, 3);
+    history.undo();
+    assert.equal(state.value, 1);
+});
+
+test('edits with the same key coalesce within the window', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const history = new EditHistory({ coalesceWindow: 1000 });
+    const { state, set } = createEditor(history);
+
+    set(1, 'dc:7');
+    t.mock.timers.tick(100);
+    set(2, 'dc:7');
+    set(3, 'dc:7');
+    assert.equal(history.undoStack.length, 1);
+
+    // Another key, or a pause longer than the window, starts a new step
+    set(4, 'dc:8');
+    t.mock.timers.tick(1500);
+    set(5, 'dc:8');
+    assert.equal(history.undoStack.length, 3);
+
+    history.undo();
+    history.undo();
+    assert.equal(state.value, 3);
+    history.undo();
+    assert.equal(state.value, 0);
+    history.redo();
+    assert.equal(state.value, 3);
+});
+
+test('a group undoes and redoes as one step', () => {
+    const history = new EditHistory();
+    const { state, set } = createEditor(history);
+    const log = [];
+
+    history.begin('Drag');
+    set(1);
+    history.push({ label: 'Connect', undo: () => log.push('undo connect'), redo: () => log.push('redo connect') });
+    set(2);
+    history.end();
+    assert.equal(history.undoStack.length, 1);
+    assert.equal(history.undoStack[0].label, 'Drag');
+
+    history.undo();
+    assert.equal(state.value, 0);
+    assert.deepEqual(log, ['undo connect']);
+
+    history.redo();
+    assert.equal(state.value, 2);
+    assert.deepEqual(log, ['undo connect', 'redo connect']);
+});
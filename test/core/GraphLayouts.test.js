@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeLayout } from '../../src/core/index.js';
+
+// Smallest distance between any two laid-out neurons
+function minimumDistance(positions) {
+    const points = [...positions.values()];
+    let minimum = Infinity;
+    points.forEach((a, i) => points.slice(i + 1).forEach(b => {
+        minimum = Math.min(minimum, Math.hypot(a.x - b.x, a.z - b.z));
+    }));
+    return minimum;
+}
+
+test('circular and grid layouts give every neuron its own finite position', () => {
+    [1, 2, 7, 16, 50].forEach(count => {
+        const nodes = Array.from({ length: count }, (_, index) => ({ id: index + 1, x: 0, z: 0 }));
+        const edges = nodes.slice(1).map(node => ({ from: 1, to: node.id }));
+
+        ['circular', 'grid'].forEach(type => {
+            const positions = computeLayout(type, nodes, edges, { spacing: 2.5 });
+            assert.deepEqual([...positions.keys()], nodes.map(node => node.id), `${type}, ${count}`);
+            positions.forEach(({ x, z }) => {
+                assert.ok(Number.isFinite(x) && Number.isFinite(z), `${type}, ${count}`);
+            });
+            // Circular spaces neighbours along the arc, so the straight gap is a little less
+            if (count > 1) {
+                assert.ok(minimumDistance(positions) > 2, `${type}, ${count}`);
+            }
+        });
+    });
+});
+
+test('force-directed layout separates neurons on the same spot', () => {
+    const nodes = [{ id: 1, x: 3, z: 3 }, { id: 2, x: 3, z: 3 }];
+    const positions = computeLayout('force', nodes, [{ from: 1, to: 2 }], { spacing: 2.5 });
+
+    const distance = minimumDistance(positions);
+    assert.ok(distance > 1, `${distance}`);
+
+    // Still centred where they were
+    const a = positions.get(1);
+    const b = positions.get(2);
+    assert.ok(Math.abs((a.x + b.x) / 2 - 3) < 1e-9 && Math.abs((a.z + b.z) / 2 - 3) < 1e-9);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Network, NeuronModel } from '../../src/core/index.js';
+import { MidiOutput } from '../../src/components/MidiOutput.js';
+
+// A metronome source driving an Izhikevich neuron, whose spikes are sent as MIDI through
+// the mock port. Each neuron plays on channel = id and note 60 + id.
+function createRig() {
+    const network = new Network();
+    network.addNeuron(new NeuronModel({ id: 1, model: 'metronome', bpm: 120 }));
+    network.addNeuron(new NeuronModel({ id: 2, model: 'izhikevich' }));
+    network.connect(1, 2, 0.8, 0.9);
+
+    const midi = new MidiOutput(network);
+    midi.setEnabled(true);
+
+    const neurons = new Map();
+    network.neurons.forEach(model => {
+        neurons.set(model.id, {
+            id: model.id,
+            sound: { midiChannel: model.id, midiNote: 60 + model.id },
+            currentEnvelope: { attack: '0.1', sustain: '0.1', release: '0' }
+        });
+    });
+    network.on('spike', (model, time) => midi.playSpike(neurons.get(model.id), time));
+
+    return { network, midi, neurons, messages: () => midi.mockPort.messages.map(message => message.data) };
+}
+
+test('spikes send note-on with channel, note and velocity', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { network, midi, messages } = createRig();
+
+    network.run(1);
+    const noteOns = messages().filter(([status]) => (status & 0xf0) === 0x90);
+
+    // The source fires on its own; the Izhikevich neuron fires a few ms after its weight 0.8 input
+    assert.deepEqual(noteOns.find(([status]) => status === 0x90), [0x90, 61, 80]);
+    assert.deepEqual(noteOns.find(([status]) => status === 0x91), [0x91, 62, Math.round(32 + 0.8 * 95)]);
+
+    midi.setEnabled(false);
+});
+
+test('note-off follows after the note length', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { midi, neurons, messages } = createRig();
+    const neuron = neurons.get(1);
+
+    midi.playSpike(neuron, 0);
+    assert.equal(midi.getLength(neuron), 200);
+    assert.deepEqual(messages(), [[0x90, 61, 80]]);
+
+    t.mock.timers.tick(199);
+    assert.equal(messages().length, 1);
+    t.mock.timers.tick(1);
+    assert.deepEqual(messages(), [[0x90, 61, 80], [0x80, 61, 0]]);
+});
+
+test('retriggering a held note ends it before the new note-on', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { midi, neurons, messages } = createRig();
+    const neuron = neurons.get(1);
+
+    midi.playSpike(neuron, 0);
+    t.mock.timers.tick(50);
+    midi.playSpike(neuron, 50);
+    assert.deepEqual(messages(), [[0x90, 61, 80], [0x80, 61, 0], [0x90, 61, 80]]);
+
+    // Only the second note's note-off is still pending
+    t.mock.timers.tick(200);
+    assert.deepEqual(messages().slice(3), [[0x80, 61, 0]]);
+});
+
+test('all notes off ends held notes and sends all-notes-off on every channel', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { midi, neurons, messages } = createRig();
+
+    midi.playSpike(neurons.get(2), 0);
+    midi.allNotesOff();
+
+    const sent = messages();
+    assert.deepEqual(sent.slice(0, 2), [[0x91, 62, 80], [0x81, 62, 0]]);
+    assert.deepEqual(sent.slice(2), Array.from({ length: 16 }, (_, channel) => [0xb0 | channel, 123, 0]));
+
+    // Nothing is left to turn off later
+    t.mock.timers.tick(1000);
+    assert.equal(messages().length, sent.length);
+});
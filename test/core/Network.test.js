@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Network, NeuronModel, SimulationClock } from '../../src/core/index.js';
+
+// A DC-driven neuron feeding a second one strongly enough to fire it on every spike
+const CHAIN = {
+    format: 'snn',
+    version: 2,
+    neurons: [
+        { id: 1, position: { x: 0, z: 0 }, dcInput: 1 },
+        { id: 2, position: { x: 2, z: 0 }, dcInput: 0 }
+    ],
+    connections: [
+        { from: 1, to: 2, weight: 1, speed: 0.9 }
+    ]
+};
+
+test('core loads without a DOM', () => {
+    assert.equal(typeof window, 'undefined');
+    assert.equal(typeof document, 'undefined');
+});
+
+test('clock delivers events in time order, ties in scheduling order', () => {
+    const clock = new SimulationClock({ dt: 1 });
+    const delivered = [];
+    clock.onEvent = event => delivered.push(event.name);
+
+    clock.schedule(3, { name: 'c' });
+    clock.schedule(1, { name: 'a' });
+    clock.schedule(3, { name: 'd' });
+    clock.schedule(2, { name: 'b' });
+
+    for (let i = 0; i < 3; i++) clock.step();
+    assert.deepEqual(delivered, ['a', 'b', 'c', 'd']);
+    assert.equal(clock.time, 3);
+});
+
+test('clock drops steps beyond the per-frame cap', () => {
+    const clock = new SimulationClock({ dt: 1, maxStepsPerFrame: 10 });
+    assert.equal(clock.advance(100), 10);
+    assert.equal(clock.time, 10);
+    assert.ok(clock.accumulator <= clock.dt);
+});
+
+test('run() returns spike times per neuron, delayed by the connection', () => {
+    const network = Network.fromDocument(CHAIN);
+    const [source, target] = network.run(3);
+
+    assert.ok(source.length > 0);
+    assert.equal(target.length, source.filter(time => time + Network.spikeDelay(0.9) <= 3000).length);
+    target.forEach((time, index) => {
+        assert.equal(time, source[index] + Network.spikeDelay(0.9));
+    });
+});
+
+test('runs of the same document are identical', () => {
+    const first = Network.fromDocument(CHAIN).run(5);
+    const second = Network.fromDocument(CHAIN).run(5);
+    assert.deepEqual(first, second);
+});
+
+// Three sources firing together at 0 ms, connected 1 -> 2 -> 3 -> 1 and 3 -> 2
+function createTriangle() {
+    const network = new Network();
+    [1, 2, 3].forEach(id => {
+        network.addNeuron(new NeuronModel({ id, model: 'pattern', spikeTimes: '0', loopLength: 0 }));
+    });
+    network.connect(1, 2, 0.5, 0.9);
+    network.connect(2, 3, 0.5, 0.9);
+    network.connect(3, 1, 0.5, 0.9);
+    network.connect(3, 2, 0.5, 0.9);
+    return network;
+}
+
+test('removing a neuron cancels its spikes in flight both ways', () => {
+    const network = createTriangle();
+    const delivered = [];
+    network.on('deliver', event => delivered.push(`${event.source.id}-${event.targetId}`));
+
+    network.run(0.1);
+    const neuron = network.getNeuron(2);
+    const cancelled = network.removeNeuron(neuron);
+    assert.deepEqual(cancelled.map(event => `${event.source.id}-${event.targetId}`).sort(), ['1-2', '2-3', '3-2']);
+
+    network.run(1);
+    assert.deepEqual(delivered, ['3-1']);
+    assert.deepEqual(network.cancelSpikes(neuron), []);
+});
+
+test('removing a neuron drops its connections and its id', () => {
+    const network = createTriangle();
+    const neuron = network.getNeuron(2);
+    network.removeNeuron(neuron);
+
+    assert.equal(network.getNeuron(2), undefined);
+    assert.ok(!network.hasNeuron(2));
+    assert.deepEqual(network.neurons.map(remaining => remaining.id), [1, 3]);
+
+    [network.getNeuron(1), network.getNeuron(3)].forEach(source => {
+        assert.ok(!source.outgoingConnections.has(2));
+        assert.ok(!source.synapticWeights.has(2));
+        assert.ok(!source.synapticSpeeds.has(2));
+    });
+    assert.ok(network.getNeuron(3).outgoingConnections.has(1));
+    assert.equal(neuron.outgoingConnections.size, 0);
+});
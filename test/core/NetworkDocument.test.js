@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readDocument, validateDocument } from '../../src/core/index.js';
+
+test('neurons without a position are placed in a row', () => {
+    const doc = readDocument({
+        format: 'snn',
+        version: 2,
+        neurons: [{ id: 1, position: { x: 5, z: 5 } }, { id: 2 }, { id: 3 }],
+        connections: [{ from: 2, to: 3, weight: 0.5, speed: 0.5 }]
+    });
+
+    assert.deepEqual(doc.neurons.map(neuron => neuron.position), [
+        { x: 5, z: 5 },
+        { x: 0, z: 0 },
+        { x: 2.5, z: 0 }
+    ]);
+});
+
+test('invalid positions are rejected', () => {
+    assert.throws(() => validateDocument({
+        format: 'snn',
+        version: 2,
+        neurons: [{ id: 1 }],
+        connections: []
+    }), /position/);
+
+    assert.throws(() => readDocument({
+        format: 'snn',
+        version: 2,
+        neurons: [{ id: 1, position: { x: 'left', z: 0 } }],
+        connections: []
+    }), /position/);
+});
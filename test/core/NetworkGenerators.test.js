@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NETWORK_GENERATORS, generateNetwork, validateDocument } from '../../src/core/index.js';
+
+test('every template builds a valid document', () => {
+    Object.keys(NETWORK_GENERATORS).forEach(type => {
+        assert.doesNotThrow(() => validateDocument(generateNetwork(type)), type);
+    });
+});
+
+test('the same seed builds the same network', () => {
+    const options = { neurons: 30, seed: 42 };
+    assert.deepEqual(generateNetwork('smallWorld', options), generateNetwork('smallWorld', options));
+});
+
+test('small-world rewiring keeps every neuron at the requested degree', () => {
+    [0, 0.1, 0.5, 1].forEach(rewiring => {
+        [1, 2, 3].forEach(seed => {
+            const doc = generateNetwork('smallWorld', { neurons: 20, neighbors: 4, rewiring, seed });
+            assert.equal(doc.connections.length, 20 * 4, `rewiring ${rewiring}, seed ${seed}`);
+
+            const pairs = new Set();
+            doc.connections.forEach(({ from, to }) => {
+                assert.notEqual(from, to);
+                pairs.add(`${from}-${to}`);
+            });
+            assert.equal(pairs.size, doc.connections.length);
+        });
+    });
+});
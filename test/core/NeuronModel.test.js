@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Network, NeuronModel } from '../../src/core/index.js';
+import { NEURON_MODELS } from '../../src/core/NeuronDynamics.js';
+
+// Spikes per simulated second of a lone neuron
+function firingRate(neuron, seconds = 1) {
+    const network = new Network();
+    network.addNeuron(neuron);
+    return network.run(seconds)[0].length / seconds;
+}
+
+test('each model starts with its own refractory period', () => {
+    Object.entries(NEURON_MODELS).forEach(([model, dynamics]) => {
+        assert.equal(new NeuronModel({ model }).refractionPeriod, dynamics.refractionPeriod, model);
+    });
+});
+
+test('switching model applies its refractory period unless one is given', () => {
+    const neuron = new NeuronModel();
+    neuron.setModel('lif');
+    assert.equal(neuron.refractionPeriod, NEURON_MODELS.lif.refractionPeriod);
+
+    neuron.setParams({ model: 'integrate', refractionPeriod: 40 });
+    assert.equal(neuron.refractionPeriod, 40);
+
+    // Other parameters leave an edited refractory period alone
+    neuron.setParams({ threshold: 2 });
+    assert.equal(neuron.refractionPeriod, 40);
+});
+
+test('a fully driven LIF neuron fires faster than its old 100 ms refractory cap', () => {
+    const rate = firingRate(new NeuronModel({ id: 1, model: 'lif', dcInput: 1 }));
+    assert.ok(rate > 30, `${rate} spikes/s`);
+});
+
+function izhikevich(preset) {
+    const neuron = new NeuronModel({ id: 1, model: 'izhikevich', dcInput: 1 });
+    neuron.applyPreset(preset);
+    return neuron;
+}
+
+test('fast-spiking Izhikevich neurons fire at high rates', () => {
+    const fast = firingRate(izhikevich('fastSpiking'));
+    const regular = firingRate(izhikevich('regularSpiking'));
+    assert.ok(fast > 100, `${fast} spikes/s`);
+    assert.ok(fast > 2 * regular, `${fast} vs ${regular} spikes/s`);
+});
+
+test('chattering Izhikevich neurons fire in bursts', () => {
+    const network = new Network();
+    network.addNeuron(izhikevich('chattering'));
+    const times = network.run(1)[0];
+    assert.ok(times.length > 80, `${times.length} spikes/s`);
+
+    // Spikes within a burst are a few ms apart, bursts tens of ms apart
+    const intervals = times.slice(1).map((time, index) => time - times[index]);
+    assert.ok(intervals.filter(interval => interval < 10).length > times.length / 2);
+    assert.ok(intervals.some(interval => interval > 20));
+});
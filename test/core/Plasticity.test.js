@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Network, NeuronModel } from '../../src/core/index.js';
+
+// Two pattern sources so the timing is exact: neuron 1 fires at 1 ms and its spike reaches
+// neuron 2 at 601 ms, neuron 2 fires at postTime + 1. Returns the connection weight after.
+function pairedWeight(weight, postTime, plasticity = {}) {
+    const network = new Network({ plasticity: { enabled: true, ...plasticity } });
+    network.addNeuron(new NeuronModel({ id: 1, model: 'pattern', spikeTimes: '0', loopLength: 0 }));
+    network.addNeuron(new NeuronModel({ id: 2, model: 'pattern', spikeTimes: String(postTime), loopLength: 0 }));
+    network.connect(1, 2, weight, 0.9);
+    network.run(1);
+    return network.getNeuron(1).synapticWeights.get(2);
+}
+
+test('a spike arriving just before the target fires potentiates the connection', () => {
+    const weight = pairedWeight(0.5, 610);
+    assert.ok(weight > 0.5, `${weight}`);
+    assert.ok(Math.abs(weight - (0.5 + 0.01 * Math.exp(-10 / 20))) < 1e-9, `${weight}`);
+});
+
+test('a spike arriving just after the target fired depresses the connection', () => {
+    const weight = pairedWeight(0.5, 590);
+    assert.ok(weight < 0.5, `${weight}`);
+    assert.ok(Math.abs(weight - (0.5 - 0.012 * Math.exp(-10 / 20))) < 1e-9, `${weight}`);
+});
+
+test('learned weights stay within [0, maxWeight]', () => {
+    assert.equal(pairedWeight(0.78, 610, { learningRate: 10, maxWeight: 0.8 }), 0.8);
+    assert.equal(pairedWeight(0.02, 590, { learningRate: 10 }), 0);
+});
+
+test('inhibitory weights do not learn', () => {
+    assert.equal(pairedWeight(-0.5, 610, { learningRate: 10 }), -0.5);
+    assert.equal(pairedWeight(-0.5, 590, { learningRate: 10 }), -0.5);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ShortTermPlasticity } from '../../src/core/ShortTermPlasticity.js';
+
+// Efficacy of each spike in a regular train
+function train(synapse, count, interval, start = 0) {
+    return Array.from({ length: count }, (_, index) => synapse.release(start + index * interval));
+}
+
+test('a large U with a long recovery depresses repeated spikes, then recovers', () => {
+    const synapse = new ShortTermPlasticity({ enabled: true, U: 0.8, tauRec: 800, tauFacil: 0 });
+    const efficacies = train(synapse, 5, 20);
+
+    assert.equal(efficacies[0], 1);
+    efficacies.slice(1).forEach((efficacy, index) => {
+        assert.ok(efficacy < efficacies[index], `spike ${index + 2}: ${efficacy}`);
+    });
+    assert.ok(efficacies[4] < 0.2, `${efficacies[4]}`);
+
+    // A long pause lets the resources refill
+    const rested = synapse.release(80 + 8000);
+    assert.ok(rested > 0.99, `${rested}`);
+});
+
+test('a small U with a long facilitation time strengthens repeated spikes', () => {
+    const synapse = new ShortTermPlasticity({ enabled: true, U: 0.1, tauRec: 50, tauFacil: 1000 });
+    const efficacies = train(synapse, 5, 20);
+
+    assert.equal(efficacies[0], 1);
+    efficacies.slice(1).forEach((efficacy, index) => {
+        assert.ok(efficacy > efficacies[index], `spike ${index + 2}: ${efficacy}`);
+    });
+    assert.ok(efficacies[4] > 2, `${efficacies[4]}`);
+});
+
+test('U is kept in (0, 1] so efficacy stays finite', () => {
+    const synapse = new ShortTermPlasticity({ enabled: true, U: 0 });
+    assert.ok(synapse.U > 0);
+    assert.equal(synapse.release(0), 1);
+
+    synapse.setParams({ U: 3 });
+    assert.equal(synapse.U, 1);
+    synapse.setParams({ U: -1 });
+    assert.ok(synapse.U > 0);
+    train(synapse, 3, 10).forEach(efficacy => assert.ok(Number.isFinite(efficacy)));
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Network, NeuronModel } from '../../src/core/index.js';
+
+// Spike times of a lone source; a spike in the step [t - dt, t) is reported at t
+function spikeTimes(params, seconds = 1) {
+    const network = new Network();
+    network.addNeuron(new NeuronModel({ id: 1, ...params }));
+    return network.run(seconds)[0];
+}
+
+test('pattern sources fire at time zero', () => {
+    assert.deepEqual(spikeTimes({ model: 'pattern', spikeTimes: '0, 250', loopLength: 0 }), [1, 251]);
+    assert.deepEqual(
+        spikeTimes({ model: 'pattern', spikeTimes: '0, 250', loopLength: 500 }),
+        [1, 251, 501, 751]
+    );
+});
+
+test('metronome sources fire on the first beat and after the phase', () => {
+    assert.deepEqual(spikeTimes({ model: 'metronome', bpm: 120, phase: 0 }), [1, 501]);
+    assert.deepEqual(spikeTimes({ model: 'metronome', bpm: 120, phase: 100 }), [101, 601]);
+});
+
+test('sequencer sources play step zero', () => {
+    assert.deepEqual(spikeTimes({ model: 'sequencer', sequence: 'x.x.', stepLength: 125 }), [1, 251, 501, 751]);
+});
+
+test('Poisson sources reach their rate and repeat with the same seed', () => {
+    const times = spikeTimes({ model: 'poisson', rate: 100, seed: 7 }, 10);
+    assert.ok(times.length > 850 && times.length < 1050, `${times.length / 10} spikes/s`);
+    assert.deepEqual(spikeTimes({ model: 'poisson', rate: 100, seed: 7 }, 10), times);
+});
+
+test('changing a Poisson seed restarts the train from the new seed', () => {
+    const network = new Network();
+    const neuron = new NeuronModel({ id: 1, model: 'poisson', rate: 100, seed: 7 });
+    network.addNeuron(neuron);
+    network.run(1);
+
+    // Set directly, as the parameter panel does, with no reset
+    neuron.seed = 8;
+    const start = network.time;
+    const times = network.run(1)[0].map(time => time - start);
+    assert.deepEqual(times, spikeTimes({ model: 'poisson', rate: 100, seed: 8 }));
+    assert.notDeepEqual(times, spikeTimes({ model: 'poisson', rate: 100, seed: 7 }));
+});
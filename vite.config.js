@@ -9,7 +9,7 @@ export default defineConfig({
         extensions: ['.js', '.jsx', '.ts', '.tsx'] // Add file extensions to try
     },
     optimizeDeps: {
-        include: ['three', '@three.ez/main']
+        include: ['three']
     },
     server: {
         host: '0.0.0.0',
@@ -42,8 +42,7 @@ export default defineConfig({
             },
             output: {
                 manualChunks: {
-                    three: ['three'],
-                    vendor: ['@three.ez/main']
+                    three: ['three']
                 },
                 // Add better file naming for cache management
                 entryFileNames: 'assets/[name].[hash].js',